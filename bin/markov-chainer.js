@@ -0,0 +1,405 @@
+#!/usr/bin/env node
+const fs = require('fs')
+const path = require('path')
+const { once } = require('events')
+
+const { Chain, tokenizer, analysis } = require('../lib')
+const { BEGIN, END } = require('../lib/model')
+
+const USAGE = `Usage: markov-chainer <command> [options] [files...]
+
+Files default to the standard input, and models are written to the standard
+output unless --output is given.
+
+Commands:
+  train [corpus...]      Build a model from text or NDJSON corpora
+    --order <n>          Size of the chain's memory (default: 1)
+    --no-token-map       Do not map tokens to states
+    --format <format>    'text' or 'ndjson', by default from file extensions
+    --newline            Read every line of text as a sentence
+    --lines              Write the model as newline-delimited JSON
+    --output <file>      File to write the model to
+
+  generate [model]       Print runs of a model, one per line
+    --count <n>          Number of runs (default: 1)
+    --prompt <text>      Text whose tokens may start the runs
+    --seed <n>           Seed of the random number generator
+    --min-length <n>     Minimum number of tokens of a run
+    --max-length <n>     Maximum number of tokens of a run
+    --temperature <t>    Sampling temperature
+    --json               Print runs as JSON arrays instead of text
+
+  inspect [model]        Print the size, top transitions and dead ends of a model
+    --top <n>            Number of transitions to print (default: 10)
+    --json               Print a JSON object instead of text
+
+  merge <model...>       Combine models of the same order
+    --weights <w,...>    Weight of each model (default: 1 each)
+    --lines              Write the model as newline-delimited JSON
+    --output <file>      File to write the model to
+
+Options:
+  --help                 Print this message
+`
+
+/**
+ * Options of each command, by name and type.
+ */
+const COMMANDS = {
+  train: {
+    options: { order: 'integer', 'token-map': 'boolean', format: 'string', newline: 'boolean', lines: 'boolean', output: 'string' },
+    run: train
+  },
+  generate: {
+    options: { count: 'integer', prompt: 'string', seed: 'number', 'min-length': 'integer', 'max-length': 'integer', temperature: 'number', json: 'boolean' },
+    run: generate
+  },
+  inspect: {
+    options: { top: 'integer', json: 'boolean' },
+    run: inspect
+  },
+  merge: {
+    options: { weights: 'string', lines: 'boolean', output: 'string' },
+    run: merge
+  }
+}
+
+/**
+ * Builds a model from corpora.
+ * @param {string[]} files Corpus files, standard input by default
+ * @param {object} options Command options
+ */
+async function train (files, { order = 1, 'token-map': useTokenMap = true, format, newline = false, lines = false, output }) {
+  if (format !== undefined && !['text', 'ndjson'].includes(format)) {
+    throw usageError(`Expected --format to be 'text' or 'ndjson' but got '${format}'.`)
+  }
+
+  const chain = new Chain({ order, useTokenMap })
+
+  for (const file of inputs(files)) {
+    const ext = path.extname(file)
+    const ndjson = format ? format === 'ndjson' : ['.ndjson', '.jsonl'].includes(ext)
+
+    try {
+      if (ndjson) {
+        await chain.train(open(file))
+      } else {
+        for (const run of tokenizer.toRuns(await readAll(open(file)), { newline })) {
+          Chain.seed(run, chain)
+        }
+      }
+    } catch (error) {
+      error.message = `${name(file)}: ${error.message}`
+      throw error
+    }
+  }
+
+  await writeModel(chain, { lines, output })
+}
+
+/**
+ * Prints runs of a model.
+ * @param {string[]} files Model file, standard input by default
+ * @param {object} options Command options
+ */
+async function generate (files, { count = 1, prompt = '', seed, 'min-length': minLength, 'max-length': maxLength, temperature, json = false }) {
+  const chain = await readModel(single(files), { random: seed })
+  const tokens = tokenizer.tokenize(prompt)
+  let generated = 0
+
+  for (let i = 0; i < count; ++i) {
+    const steps = chain.run({ tokens, minLength, maxLength, temperature })
+    if (steps === null) continue
+
+    const run = [].concat(...steps)
+    await print(json ? JSON.stringify(run) : tokenizer.detokenize(run))
+    generated++
+  }
+
+  if (count > 0 && generated === 0) {
+    throw new Error('No run passed the length limits.')
+  }
+}
+
+/**
+ * Prints the size, top transitions and dead ends of a model.
+ * @param {string[]} files Model file, standard input by default
+ * @param {object} options Command options
+ */
+async function inspect (files, { top = 10, json = false }) {
+  const chain = await readModel(single(files))
+  const transitions = []
+
+  for (const [state, [next]] of chain.model) {
+    for (const [token, count] of next) {
+      transitions.push({ state: [...state].map((t) => display(chain, t)), next: display(chain, token), count })
+    }
+  }
+
+  const deadEnds = analysis.deadEndStates(chain).map((state) => [...state].map((t) => display(chain, t)))
+  const report = {
+    order: chain.order,
+    states: chain.model.size,
+    transitions: transitions.length,
+    top: transitions.sort((a, b) => b.count - a.count).slice(0, top),
+    deadEnds
+  }
+
+  if (json) {
+    await print(JSON.stringify(report))
+    return
+  }
+
+  await print([
+    `order        ${report.order}`,
+    `states       ${report.states}`,
+    `transitions  ${report.transitions}`,
+    `dead ends    ${deadEnds.length}`,
+    '',
+    'top transitions:',
+    ...report.top.map(({ state, next, count }) => `  ${count}\t${state.join(' ')} -> ${next}`),
+    ...(deadEnds.length > 0 ? ['', 'dead-end states:', ...deadEnds.map((state) => `  ${state.join(' ')}`)] : [])
+  ].join('\n'))
+}
+
+/**
+ * Combines saved models.
+ * @param {string[]} files Model files
+ * @param {object} options Command options
+ */
+async function merge (files, { weights, lines = false, output }) {
+  if (files.length === 0) {
+    throw usageError('Expected at least one model to merge but got none.')
+  }
+
+  const chains = []
+  for (const file of files) {
+    chains.push(await readModel(file))
+  }
+
+  const parsed = weights === undefined
+    ? chains.map(() => 1)
+    : weights.split(',').map(Number)
+
+  await writeModel(Chain.combine(chains, parsed), { lines, output })
+}
+
+/**
+ * Parses command line arguments.
+ * @param {string[]} argv Arguments after the command
+ * @param {object} types Type of each option, by name
+ * @returns {{files: string[], options: object}} Positional arguments and options
+ */
+function parseArgs (argv, types) {
+  const files = []
+  const options = {}
+
+  for (let i = 0; i < argv.length; ++i) {
+    const arg = argv[i]
+
+    if (arg === '--') {
+      files.push(...argv.slice(i + 1))
+      break
+    }
+
+    if (!arg.startsWith('--')) {
+      files.push(arg)
+      continue
+    }
+
+    const equals = arg.indexOf('=')
+    let key = equals === -1 ? arg.slice(2) : arg.slice(2, equals)
+    let value = equals === -1 ? undefined : arg.slice(equals + 1)
+    const negated = key.startsWith('no-') && types[key.slice(3)] === 'boolean'
+    if (negated) key = key.slice(3)
+
+    const type = types[key]
+    if (!type) {
+      throw usageError(`Unknown option --${key}.`)
+    }
+
+    if (type === 'boolean') {
+      options[key] = !negated
+      continue
+    }
+
+    if (value === undefined) {
+      if (i + 1 >= argv.length) {
+        throw usageError(`Expected a value for --${key} but got none.`)
+      }
+      value = argv[++i]
+    }
+
+    if (type === 'string') {
+      options[key] = value
+      continue
+    }
+
+    const number = Number(value)
+    if (value.trim() === '' || !Number.isFinite(number) || (type === 'integer' && !Number.isInteger(number))) {
+      throw usageError(`Expected --${key} to be ${type === 'integer' ? 'an integer' : 'a number'} but got '${value}'.`)
+    }
+    options[key] = number
+  }
+
+  return { files, options }
+}
+
+/**
+ * Lists input files, the standard input by default.
+ * @param {string[]} files Input files
+ * @returns {string[]} Input files, `-` being the standard input
+ */
+function inputs (files) {
+  return files.length > 0 ? files : ['-']
+}
+
+/**
+ * Gets the single input file of a command.
+ * @param {string[]} files Input files
+ * @returns {string} Input file, `-` being the standard input
+ */
+function single (files) {
+  if (files.length > 1) {
+    throw usageError(`Expected a single model but got ${files.length}.`)
+  }
+
+  return inputs(files)[0]
+}
+
+/**
+ * Opens an input file.
+ * @param {string} file File path, `-` being the standard input
+ * @returns {stream.Readable} Readable stream
+ */
+function open (file) {
+  return file === '-' ? process.stdin : fs.createReadStream(file)
+}
+
+/**
+ * Names an input file in error messages.
+ * @param {string} file File path, `-` being the standard input
+ * @returns {string} Displayed name
+ */
+function name (file) {
+  return file === '-' ? '<stdin>' : file
+}
+
+/**
+ * Reads a whole stream as text.
+ * @param {stream.Readable} source Readable stream
+ * @returns {Promise<string>} Text
+ */
+async function readAll (source) {
+  const chunks = []
+  for await (const chunk of source) chunks.push(Buffer.from(chunk))
+  return Buffer.concat(chunks).toString('utf8')
+}
+
+/**
+ * Reads a model serialised as JSON or newline-delimited JSON.
+ * @param {string} file File path, `-` being the standard input
+ * @param {object} [options] Additional options to Chain constructor
+ * @returns {Promise<Chain>} Chain
+ */
+async function readModel (file, options) {
+  try {
+    const text = await readAll(open(file))
+    let json
+
+    try {
+      json = JSON.parse(text)
+    } catch (error) {
+      return await Chain.fromLines([text], options)
+    }
+
+    return Chain.fromJSON(json, options)
+  } catch (error) {
+    error.message = `${name(file)}: ${error.message}`
+    throw error
+  }
+}
+
+/**
+ * Writes a model.
+ * @param {Chain} chain Chain to write
+ * @param {object} options Options object
+ * @param {boolean} options.lines Whether to write newline-delimited JSON
+ * @param {string} [options.output] File to write to, the standard output by default
+ */
+async function writeModel (chain, { lines, output }) {
+  const out = output === undefined ? process.stdout : fs.createWriteStream(output)
+  const chunks = lines ? chain.toLines() : [JSON.stringify(chain) + '\n']
+
+  for (const chunk of chunks) {
+    if (!out.write(chunk)) await once(out, 'drain')
+  }
+
+  if (out !== process.stdout) {
+    out.end()
+    await once(out, 'finish')
+  }
+}
+
+/**
+ * Prints a line to the standard output.
+ * @param {string} line Line to print
+ */
+async function print (line) {
+  if (!process.stdout.write(line + '\n')) await once(process.stdout, 'drain')
+}
+
+/**
+ * Displays a token of a model.
+ * @param {Chain} chain Chain of the model
+ * @param {any} key Model key of the token
+ * @returns {string} Displayed token
+ */
+function display (chain, key) {
+  if (key === BEGIN) return '<BEGIN>'
+  if (key === END) return '<END>'
+
+  const token = chain.tokenCodec.decode(key)
+  return typeof token === 'string' ? token : String(JSON.stringify(token))
+}
+
+/**
+ * Creates an error about the command line.
+ * @param {string} message Error message
+ * @returns {Error} Error printed with a hint to the usage
+ */
+function usageError (message) {
+  const error = new Error(message)
+  error.usage = true
+  return error
+}
+
+/**
+ * Runs the command line tool.
+ * @param {string[]} argv Command line arguments
+ */
+async function main ([command, ...argv]) {
+  if (command === undefined || command === '--help' || argv.includes('--help')) {
+    await print(USAGE)
+    return
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+    throw usageError(`Unknown command '${command}'.`)
+  }
+
+  const { files, options } = parseArgs(argv, COMMANDS[command].options)
+  await COMMANDS[command].run(files, options)
+}
+
+process.stdout.on('error', (error) => {
+  // downstream commands like `head` may stop reading early
+  if (error.code === 'EPIPE') process.exit(0)
+  throw error
+})
+
+main(process.argv.slice(2)).catch((error) => {
+  process.stderr.write(`markov-chainer: ${error.message}\n`)
+  if (error.usage) process.stderr.write('Try \'markov-chainer --help\' for usage.\n')
+  process.exitCode = error.usage ? 2 : 1
+})
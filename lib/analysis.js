@@ -0,0 +1,340 @@
+const { tuple } = require('immutable-tuple')
+
+const { END } = require('./model')
+
+/**
+ * Helpers to analyse the Markov chain behind a chain's model.
+ *
+ * States are the keys of `chain.model`, and END is an absorbing state. Only
+ * the model of the chain's order is analysed, and transitions to unknown
+ * states, left by pruning, are left out.
+ */
+const analysis = exports
+
+/**
+ * Builds the transition matrix of a chain.
+ *
+ * The last row and column are the absorbing END state. Dense matrices are
+ * arrays of rows of probabilities; sparse matrices are arrays of rows of
+ * `[column, probability]` pairs.
+ *
+ * @param {Chain} chain Chain to analyse
+ * @param {object} [options={}] Options object
+ * @param {boolean} [options.dense=false] Whether to export a dense matrix
+ * @returns {{states: Array<Tuple<any>|Symbol>, matrix: Array<Array<any>>}} States and transition matrix
+ */
+analysis.transitionMatrix = function transitionMatrix (chain, { dense = false } = {}) {
+  const { states, rows } = transitions(chain)
+  const end = states.length
+  const matrix = [...rows, [[end, 1]]]
+
+  if (!dense) {
+    return { states: [...states, END], matrix }
+  }
+
+  return {
+    states: [...states, END],
+    matrix: matrix.map((row) => {
+      const denseRow = new Array(end + 1).fill(0)
+      for (const [j, p] of row) denseRow[j] += p
+      return denseRow
+    })
+  }
+}
+
+/**
+ * Measures the next steps of every state.
+ *
+ * @param {Chain} chain Chain to analyse
+ * @returns {Map<Tuple<any>,object>} Total `count`, `branching` factor and `entropy` in bits of each state
+ */
+analysis.stateStats = function stateStats (chain) {
+  const stats = new Map()
+
+  for (const [state, [next]] of chain.model) {
+    let count = 0
+    for (const weight of next.values()) count += weight
+
+    let entropy = 0
+    for (const weight of next.values()) {
+      const p = weight / count
+      if (p > 0) entropy -= p * Math.log2(p)
+    }
+
+    stats.set(state, { count, branching: next.size, entropy })
+  }
+
+  return stats
+}
+
+/**
+ * Computes the expected number of tokens of runs, from the initial state to
+ * an END.
+ *
+ * Runs that may never reach an END have an infinite expected length. Other
+ * lengths are refined until they change by less than `tolerance`.
+ *
+ * @param {Chain} chain Chain to analyse
+ * @param {object} [options={}] Options object
+ * @param {number} [options.tolerance=1e-9] Relative change at which to stop
+ * @param {number} [options.maxIterations=10000] Maximum number of refinements
+ * @returns {number} Expected run length
+ */
+analysis.expectedLength = function expectedLength (chain, { tolerance = 1e-9, maxIterations = 10000 } = {}) {
+  const { states, index, rows } = transitions(chain)
+  const start = index.get(chain.initialState)
+  const end = states.length
+
+  if (start === undefined) {
+    return 0
+  }
+
+  const ending = surelyEnding(rows, end)
+  if (!ending.has(start)) {
+    return Infinity
+  }
+
+  const lengths = new Float64Array(states.length)
+
+  for (let iteration = 0; iteration < maxIterations; ++iteration) {
+    let change = 0
+
+    for (const i of ending) {
+      let length = 0
+      for (const [j, p] of rows[i]) {
+        if (j !== end) length += p * (1 + lengths[j])
+      }
+      change = Math.max(change, Math.abs(length - lengths[i]) / Math.max(1, length))
+      lengths[i] = length
+    }
+
+    if (change < tolerance) break
+  }
+
+  return lengths[start]
+}
+
+/**
+ * Computes the stationary distribution of the recurrent part of a chain.
+ *
+ * The distribution is reached from the initial state. Without restarts,
+ * runs are absorbed by END unless the chain has closed loops of states, so
+ * the distribution is empty for most chains. With restarts, END goes back to
+ * the initial state, and the distribution is the share of each state among
+ * the states visited by endless runs.
+ *
+ * @param {Chain} chain Chain to analyse
+ * @param {object} [options={}] Options object
+ * @param {boolean} [options.restart=false] Whether END goes back to the initial state
+ * @param {number} [options.tolerance=1e-9] Change at which to stop
+ * @param {number} [options.maxIterations=10000] Maximum number of iterations
+ * @returns {Map<Tuple<any>,number>} Probability of each recurrent state
+ */
+analysis.stationaryDistribution = function stationaryDistribution (chain, { restart = false, tolerance = 1e-9, maxIterations = 10000 } = {}) {
+  const { states, index, rows } = transitions(chain)
+  const start = index.get(chain.initialState)
+  const end = states.length
+  const distribution = new Map()
+
+  if (start === undefined) {
+    return distribution
+  }
+
+  let mass = new Float64Array(end + 1)
+  mass[start] = 1
+
+  for (let iteration = 0; iteration < maxIterations; ++iteration) {
+    // lazy steps, which keep the distribution but never oscillate
+    const next = new Float64Array(end + 1)
+
+    for (let i = 0; i <= end; ++i) {
+      if (mass[i] === 0) continue
+      const half = mass[i] / 2
+      next[i] += half
+
+      if (i === end) {
+        next[restart ? start : end] += half
+        continue
+      }
+
+      for (const [j, p] of rows[i]) next[j] += half * p
+    }
+
+    let total = 0
+    for (let i = 0; i <= end; ++i) total += next[i]
+
+    let change = 0
+    for (let i = 0; i <= end; ++i) {
+      next[i] /= total
+      change += Math.abs(next[i] - mass[i])
+    }
+
+    mass = next
+    if (change < tolerance) break
+  }
+
+  let total = 0
+  for (let i = 0; i < end; ++i) {
+    if (mass[i] > tolerance) total += mass[i]
+  }
+
+  for (let i = 0; i < end; ++i) {
+    if (mass[i] > tolerance) distribution.set(states[i], mass[i] / total)
+  }
+
+  return distribution
+}
+
+/**
+ * Finds the states that cannot be reached from the initial state.
+ *
+ * @param {Chain} chain Chain to analyse
+ * @returns {Array<Tuple<any>>} Unreachable states
+ */
+analysis.unreachableStates = function unreachableStates (chain) {
+  const { states, index, rows } = transitions(chain)
+  const start = index.get(chain.initialState)
+  const queue = start === undefined ? [] : [start]
+  const reached = new Set(queue)
+
+  while (queue.length > 0) {
+    for (const [j] of rows[queue.pop()]) {
+      if (j < states.length && !reached.has(j)) {
+        reached.add(j)
+        queue.push(j)
+      }
+    }
+  }
+
+  return states.filter((_, i) => !reached.has(i))
+}
+
+/**
+ * Finds the states that cannot reach an END.
+ *
+ * @param {Chain} chain Chain to analyse
+ * @returns {Array<Tuple<any>>} Dead-end states
+ */
+analysis.deadEndStates = function deadEndStates (chain) {
+  const { states, rows } = transitions(chain)
+  const reaching = reachingEnd(rows, states.length)
+
+  return states.filter((_, i) => !reaching.has(i))
+}
+
+/**
+ * Summarises a chain, to compare corpora or orders.
+ *
+ * The entropy rate is the mean entropy of the states visited by endless
+ * runs, in bits per token, see `stationaryDistribution`.
+ *
+ * @param {Chain} chain Chain to analyse
+ * @returns {object} Numbers of `states` and `transitions`, mean `branching` factor, `entropyRate`, `expectedLength`, and numbers of `unreachable` and `deadEnd` states
+ */
+analysis.summary = function summary (chain) {
+  const stats = analysis.stateStats(chain)
+  const visits = analysis.stationaryDistribution(chain, { restart: true })
+
+  let transitionCount = 0
+  let entropyRate = 0
+
+  for (const [state, { branching, entropy }] of stats) {
+    transitionCount += branching
+    entropyRate += (visits.get(state) || 0) * entropy
+  }
+
+  return {
+    states: stats.size,
+    transitions: transitionCount,
+    branching: stats.size > 0 ? transitionCount / stats.size : 0,
+    entropyRate,
+    expectedLength: analysis.expectedLength(chain),
+    unreachable: analysis.unreachableStates(chain).length,
+    deadEnd: analysis.deadEndStates(chain).length
+  }
+}
+
+/**
+ * Lists the states of a chain with their transition probabilities.
+ * @param {Chain} chain Chain to analyse
+ * @returns {object} States, their indices and rows of `[index, probability]` pairs, END being `states.length`
+ */
+function transitions (chain) {
+  const states = [...chain.model.keys()]
+  const index = new Map(states.map((state, i) => [state, i]))
+  const end = states.length
+
+  const rows = states.map((state) => {
+    const [next] = chain.model.get(state)
+    let total = 0
+    for (const weight of next.values()) total += weight
+
+    const row = []
+    for (const [token, weight] of next) {
+      const j = token === END ? end : index.get(tuple(...state.slice(1), token))
+      if (j !== undefined) row.push([j, weight / total])
+    }
+    return row
+  })
+
+  return { states, index, rows }
+}
+
+/**
+ * Finds the states that can reach END.
+ * @param {Array<Array<number[]>>} rows Transition rows
+ * @param {number} end Index of END
+ * @returns {Set<number>} Indices of states reaching END
+ */
+function reachingEnd (rows, end) {
+  const sources = rows.map(() => [])
+  const reached = new Set()
+  const queue = []
+
+  rows.forEach((row, i) => {
+    for (const [j] of row) {
+      if (j === end) {
+        if (!reached.has(i)) {
+          reached.add(i)
+          queue.push(i)
+        }
+      } else {
+        sources[j].push(i)
+      }
+    }
+  })
+
+  while (queue.length > 0) {
+    for (const source of sources[queue.pop()]) {
+      if (!reached.has(source)) {
+        reached.add(source)
+        queue.push(source)
+      }
+    }
+  }
+
+  return reached
+}
+
+/**
+ * Finds the states whose every walk reaches END.
+ * @param {Array<Array<number[]>>} rows Transition rows
+ * @param {number} end Index of END
+ * @returns {Set<number>} Indices of states surely reaching END
+ */
+function surelyEnding (rows, end) {
+  const ending = reachingEnd(rows, end)
+  let changed = true
+
+  while (changed) {
+    changed = false
+    for (const i of ending) {
+      if (rows[i].some(([j]) => j !== end && !ending.has(j))) {
+        ending.delete(i)
+        changed = true
+      }
+    }
+  }
+
+  return ending
+}
@@ -0,0 +1,299 @@
+const { tuple } = require('immutable-tuple')
+
+const { internal, randomElement } = require('./util')
+const { resolve: resolveRandom } = require('./random')
+const { MemoryStore } = require('./store')
+const {
+  BEGIN,
+  END,
+  getInitialState,
+  tokenCodec,
+  weightMap
+} = require('./model')
+
+/**
+ * A Markov chain whose state space is kept in a `Store`, read and written
+ * asynchronously, so that models larger than memory can be walked and
+ * seeded without loading them whole.
+ *
+ * Tokens are encoded as in `Chain`, object tokens being keyed canonically.
+ */
+class AsyncChain {
+  /**
+   * @param {object} [options={}] Options object
+   * @param {Store} [options.store=new MemoryStore()] Storage of the state space
+   * @param {number} [options.order=0] Size of the chain's memory
+   * @param {number|Function} [options.random=Math.random] Seed or random number generator
+   */
+  constructor ({ store = new MemoryStore(), order = 0, random } = {}) {
+    internal(this).store = store
+    internal(this).order = order
+    internal(this).random = resolveRandom(random)
+    internal(this).initialState = getInitialState(order)
+    internal(this).tokenCodec = tokenCodec()
+    internal(this).seeding = Promise.resolve()
+  }
+
+  /**
+   * Creates an AsyncChain from a store, whose first state gives the order.
+   *
+   * @static
+   * @param {Store} store Storage of the state space
+   * @param {object} [options] Additional options to AsyncChain constructor
+   * @returns {Promise<AsyncChain>} A new async chain instance
+   */
+  static async open (store, options = {}) {
+    let { order } = options
+
+    for await (const [state] of store.entries()) {
+      order = state.length - 1
+      break
+    }
+
+    return new AsyncChain({ ...options, store, order })
+  }
+
+  /**
+   * Copies the model of a chain into a store.
+   *
+   * @static
+   * @param {Chain} chain Chain to copy
+   * @param {Store} [store=new MemoryStore()] Storage of the state space
+   * @param {object} [options] Additional options to AsyncChain constructor
+   * @returns {Promise<AsyncChain>} A new async chain instance
+   */
+  static async fromChain (chain, store = new MemoryStore(), options = {}) {
+    for (const [state, [next, prev]] of chain.model) {
+      await store.set(state, [weightMap(new Map(next)), weightMap(new Map(prev))])
+    }
+
+    return new AsyncChain({ ...options, store, order: chain.order })
+  }
+
+  /**
+   * Storage of the state space.
+   * @readonly
+   * @type {Store}
+   */
+  get model () {
+    return internal(this).store
+  }
+
+  /**
+   * Order of chain.
+   * @readonly
+   * @type {number}
+   */
+  get order () {
+    return internal(this).order
+  }
+
+  /**
+   * Chain's initial state.
+   * @readonly
+   * @type {Tuple<any>}
+   */
+  get initialState () {
+    return internal(this).initialState
+  }
+
+  /**
+   * Default random number generator of the chain's walks.
+   * @readonly
+   * @type {Function}
+   */
+  get random () {
+    return internal(this).random
+  }
+
+  /**
+   * Updates the model from a single run, see `Chain.seed`.
+   *
+   * Each state of the run is read and written once. Seeds are applied one
+   * at a time, in call order, so that overlapping seeds never lose counts.
+   *
+   * @param {Array<any>} run Array of tokens
+   * @param {object} [options={}] Options object
+   * @param {number} [options.weight=1] Positive weight of the run
+   * @returns {Promise<void>} Resolves once the store is updated
+   */
+  seed (run, options) {
+    const result = internal(this).seeding.then(() => this._seed(run, options))
+    internal(this).seeding = result.catch(() => {})
+    return result
+  }
+
+  /**
+   * Updates the model from a single run, once the previous seeds are done.
+   *
+   * @private
+   * @param {Array<any>} run Array of tokens
+   * @param {object} [options={}] Options object, see `AsyncChain#seed`
+   * @returns {Promise<void>} Resolves once the store is updated
+   */
+  async _seed (run, { weight = 1 } = {}) {
+    if (!(weight > 0 && isFinite(weight))) {
+      throw new Error('Invalid Markov chain weight. ' +
+        `Expected a positive weight but got ${weight}.`)
+    }
+
+    const { order, initialState, model } = this
+    const items = [...initialState, ...run.map(internal(this).tokenCodec.encode), END]
+    const updated = new Map()
+
+    for (let i = 0; i < run.length + 1; ++i) {
+      const state = tuple(...items.slice(i, i + 1 + order))
+      const next = items[i + 1 + order]
+      const prev = items[i - 1] || BEGIN
+
+      if (!updated.has(state)) {
+        updated.set(state, (await model.get(state)) || [weightMap(), weightMap()])
+      }
+
+      const stateMaps = updated.get(state)
+      stateMaps[0].set(next, (stateMaps[0].get(next) || 0) + weight)
+      stateMaps[1].set(prev, (stateMaps[1].get(prev) || 0) + weight)
+    }
+
+    for (const [state, stateMaps] of updated) {
+      await model.set(state, stateMaps)
+    }
+  }
+
+  /**
+   * Randomly chooses a new step from a given state.
+   *
+   * @private
+   * @param {Tuple<any>} fromState The state to move from
+   * @param {boolean} forward Movement direction
+   * @param {Function} random Random number generator
+   * @returns {Promise<any>} A possible next step of the chain, as a model key
+   */
+  async _step (fromState, forward, random) {
+    const stateMaps = await this.model.get(fromState)
+    const weights = stateMaps && stateMaps[forward ? 0 : 1]
+
+    if (!weights || weights.size === 0) {
+      return forward ? END : BEGIN
+    }
+
+    return randomElement([...weights.keys()], [...weights.values()], random)
+  }
+
+  /**
+   * Generates successive steps until it finds a stop token.
+   *
+   * @private
+   * @param {Tuple<any>} fromState Initial state
+   * @param {boolean} forward Movement direction
+   * @param {Function} random Random number generator
+   * @yield {any} Next step on the chain
+   */
+  async * _walk (fromState, forward, random) {
+    const stopToken = forward ? END : BEGIN
+    const size = this.order + 1
+    let state = fromState || this.initialState
+
+    while (true) {
+      const step = await this._step(state, forward, random)
+
+      if (step === stopToken) {
+        break
+      }
+
+      yield internal(this).tokenCodec.decode(step, random)
+
+      state = forward
+        ? tuple(...state, step).slice(-size)
+        : tuple(step, ...state).slice(0, size)
+    }
+  }
+
+  /**
+   * Generates successive steps until the chain reaches an END.
+   *
+   * @param {Tuple<any>} [fromState] Begin state of the chain walk
+   * @param {object} [options={}] Options object
+   * @param {number|Function} [options.random] Seed or random number generator
+   * @yield {any} Next succeding step of the chain
+   */
+  async * walkForward (fromState, { random } = {}) {
+    yield * this._walk(fromState, true, resolveRandom(random, this.random))
+  }
+
+  /**
+   * Generates successive steps until the chain reaches a BEGIN.
+   *
+   * @param {Tuple<any>} [fromState] Starting state of the chain walk
+   * @param {object} [options={}] Options object
+   * @param {number|Function} [options.random] Seed or random number generator
+   * @yield {any} Next preceeding step of the chain
+   */
+  async * walkBackward (fromState, { random } = {}) {
+    yield * this._walk(fromState, false, resolveRandom(random, this.random))
+  }
+
+  /**
+   * Walks the Markov chain and returns all steps, see `Chain#run`.
+   *
+   * Runs start from a known state made of consecutive input tokens, or from
+   * the initial state.
+   *
+   * @param {object} [options={}] Options object
+   * @param {Array<any>} [options.tokens=[]] Starting state tokens
+   * @param {boolean} [options.backSearch=true] Should walk back
+   * @param {boolean} [options.runMissingTokens=true] Whether to answer when tokens are not in model
+   * @param {number|Function} [options.random] Seed or random number generator for this run
+   * @returns {Promise<Array<Array<any>>>} Array with back root and forward steps
+   */
+  async run ({ tokens = [], backSearch = true, runMissingTokens = true, random } = {}) {
+    const { initialState } = this
+    const { encode, decode } = internal(this).tokenCodec
+    const rng = resolveRandom(random, this.random)
+    const startState = await this._genStateFrom(tokens.map(encode), rng)
+
+    let hasSteps = startState !== initialState
+    if (!runMissingTokens && tokens.length > 0 && !hasSteps) {
+      return [[], [], []]
+    }
+
+    const forwardSteps = []
+    for await (const step of this._walk(startState, true, rng)) forwardSteps.push(step)
+    hasSteps = hasSteps || forwardSteps.length > 0
+
+    const backSteps = []
+    if (backSearch) {
+      for await (const step of this._walk(startState, false, rng)) backSteps.unshift(step)
+      hasSteps = hasSteps || backSteps.length > 0
+    }
+
+    return [
+      backSteps,
+      hasSteps ? [...startState].filter((t) => t !== BEGIN).map((t) => decode(t, rng)) : [],
+      forwardSteps
+    ]
+  }
+
+  /**
+   * Picks a stored state made of consecutive input tokens.
+   *
+   * @private
+   * @param {Array<any>} tokens Input tokens, as model keys
+   * @param {Function} random Random number generator
+   * @returns {Promise<Tuple<any>>} State tuple, the initial state when none is stored
+   */
+  async _genStateFrom (tokens, random) {
+    const { order, initialState } = this
+    const items = [...initialState, ...tokens, END]
+    const states = []
+
+    for (let i = 1; i < tokens.length + 1; ++i) {
+      const state = tuple(...items.slice(i, i + 1 + order))
+      if (await this.model.has(state)) states.push(state)
+    }
+
+    return randomElement(states, undefined, random) || initialState
+  }
+}
+
+module.exports = AsyncChain
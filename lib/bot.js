@@ -0,0 +1,188 @@
+const Chain = require('./chain')
+const tokenizer = require('./tokenizer')
+const { internal } = require('./util')
+const { resolve: resolveRandom } = require('./random')
+const { stringifyToken } = require('./model')
+
+/**
+ * A chat bot replying with runs of a chain.
+ *
+ * Each conversation remembers its recent tokens, from both sides, and its
+ * recent replies. Several candidate replies are generated from the tokens of
+ * each message, and the one sharing the most keywords with the message, then
+ * with the rest of the conversation, is picked, unless it was given recently.
+ *
+ * Messages are arrays of tokens, or plain text, which is split into tokens
+ * and answered with text, see `tokenizer`.
+ */
+class Bot {
+  /**
+   * @param {object} [options={}] Options object, also passed to the Chain constructor
+   * @param {Chain} [options.chain] Chain to reply with, built from the other options by default
+   * @param {number} [options.order=1] Size of the chain's memory
+   * @param {boolean} [options.useTokenMap=true] Whether to map token to states
+   * @param {number} [options.contextSize=20] Number of recent tokens remembered per conversation
+   * @param {number} [options.memory=5] Number of recent replies not to repeat per conversation
+   * @param {number} [options.candidates=10] Number of candidate replies to pick from
+   * @param {number} [options.contextWeight=0.5] Weight of keywords from earlier messages, relative to the prompt
+   * @param {number} [options.scoreWeight=0] Weight of the mean log-probability of replies, see `Chain#score`
+   * @param {Iterable<any>} [options.stopwords=[]] Tokens never counted as keywords
+   * @param {boolean} [options.learn=false] Whether to seed the chain with incoming messages
+   */
+  constructor ({ chain, order = 1, useTokenMap = true, contextSize = 20, memory = 5, candidates = 10, contextWeight = 0.5, scoreWeight = 0, stopwords = [], learn = false, ...options } = {}) {
+    if (!(Number.isInteger(candidates) && candidates > 0)) {
+      throw new Error('Invalid Markov chain bot. ' +
+        `Expected a positive integer number of candidates but got ${candidates}.`)
+    }
+
+    internal(this).chain = chain || new Chain({ ...options, order, useTokenMap })
+    internal(this).options = { contextSize, memory, candidates, contextWeight, scoreWeight, learn }
+    internal(this).stopwords = new Set([...stopwords].map(this.chain.tokenCodec.encode))
+    internal(this).conversations = new Map()
+  }
+
+  /**
+   * Chain replies are generated with.
+   * @readonly
+   * @type {Chain}
+   */
+  get chain () {
+    return internal(this).chain
+  }
+
+  /**
+   * Recent tokens of a conversation, oldest first.
+   *
+   * @param {any} [conversation] Conversation identifier
+   * @returns {Array<any>} Remembered tokens
+   */
+  context (conversation) {
+    const state = internal(this).conversations.get(conversation)
+    return state ? [...state.context] : []
+  }
+
+  /**
+   * Forgets a conversation, or every conversation.
+   *
+   * @param {any} [conversation] Conversation identifier, every conversation by default
+   */
+  reset (conversation) {
+    if (arguments.length === 0) {
+      internal(this).conversations.clear()
+    } else {
+      internal(this).conversations.delete(conversation)
+    }
+  }
+
+  /**
+   * Seeds the chain with a message.
+   *
+   * @param {Array<any>|string} message Tokens or text
+   */
+  learn (message) {
+    for (const run of toRuns(message)) {
+      Chain.seed(run, this.chain)
+    }
+  }
+
+  /**
+   * Replies to a message.
+   *
+   * @param {Array<any>|string} message Tokens or text
+   * @param {object} [options={}] Options object, also passed to `Chain#run`
+   * @param {any} [options.conversation] Conversation identifier
+   * @returns {Array<any>|string} Reply tokens, or text for text messages, or `null` when no run passes the `Chain#run` limits
+   */
+  reply (message, { conversation, ...options } = {}) {
+    const { chain } = this
+    const { contextSize, memory, candidates, contextWeight, scoreWeight, learn } = internal(this).options
+    const { stopwords, conversations } = internal(this)
+    const { encode } = chain.tokenCodec
+    const runs = toRuns(message)
+    const prompt = [].concat(...runs)
+
+    if (learn) {
+      this.learn(message)
+    }
+
+    if (!conversations.has(conversation)) {
+      conversations.set(conversation, { context: [], replies: [] })
+    }
+
+    const state = conversations.get(conversation)
+    const promptKeys = keywords(prompt, encode, stopwords)
+    const contextKeys = keywords(state.context, encode, stopwords)
+    const recent = new Set([...state.replies, replyKey(prompt, encode)])
+    const random = resolveRandom(options.random, chain.random)
+    const tokens = prompt.length > 0 ? prompt : state.context
+
+    let best = null
+    for (let i = 0; i < candidates; ++i) {
+      const steps = chain.run({ ...options, tokens, random })
+      if (steps === null) continue
+
+      const reply = [].concat(...steps)
+      if (reply.length === 0) continue
+
+      let score = 0
+      for (const key of keywords(reply, encode, stopwords)) {
+        score += promptKeys.has(key) ? 1 : (contextKeys.has(key) ? contextWeight : 0)
+      }
+
+      if (scoreWeight > 0) {
+        score += scoreWeight * chain.score(reply).logProb / (reply.length + 1)
+      }
+
+      const key = replyKey(reply, encode)
+      const fresh = !recent.has(key)
+      if (!best || (fresh && !best.fresh) || (fresh === best.fresh && score > best.score)) {
+        best = { reply, key, score, fresh }
+      }
+    }
+
+    if (!best) {
+      return null
+    }
+
+    state.context = [...state.context, ...prompt, ...best.reply].slice(-contextSize)
+    state.replies = [...state.replies, best.key].slice(-memory)
+
+    return typeof message === 'string' ? tokenizer.detokenize(best.reply) : best.reply
+  }
+}
+
+/**
+ * Splits a message into runs.
+ * @param {Array<any>|string} message Tokens or text
+ * @returns {Array<Array<any>>} Runs of tokens
+ */
+function toRuns (message) {
+  if (typeof message === 'string') {
+    return tokenizer.toRuns(message)
+  }
+
+  return message.length > 0 ? [message] : []
+}
+
+/**
+ * Gets the distinct keywords of tokens.
+ * @param {Array<any>} tokens Tokens
+ * @param {Function} encode Encoder of tokens into model keys
+ * @param {Set<any>} stopwords Model keys not to count
+ * @returns {Set<any>} Model keys of the tokens
+ */
+function keywords (tokens, encode, stopwords) {
+  return new Set(tokens.map(encode).filter((key) => !stopwords.has(key)))
+}
+
+/**
+ * Identifies a reply to compare it to recent ones.
+ * @param {Array<any>} tokens Reply tokens
+ * @param {Function} encode Encoder of tokens into model keys
+ * @returns {string} Key of the reply
+ */
+function replyKey (tokens, encode) {
+  return JSON.stringify(tokens.map((token) => stringifyToken(encode(token))))
+}
+
+module.exports = Bot
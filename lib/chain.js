@@ -4,28 +4,36 @@
  */
 const { tuple } = require('immutable-tuple')
 
-const { internal, randomElement } = require('./util')
+const { internal, randomElement, adjustWeights, cumulativePick, shuffle } = require('./util')
+const { resolve: resolveRandom } = require('./random')
+const Corpus = require('./corpus')
+const { readRuns, abortError } = require('./stream')
+const format = require('./format')
+const { ForkModel, ForkTokenMap } = require('./fork')
+const {
+  BEGIN,
+  END,
+  getInitialState,
+  stringifyToken,
+  tokenCodec,
+  buildTokenMap,
+  fillTokenMap,
+  stateSpace,
+  weightMap,
+  samplingTable,
+  countScale
+} = require('./model')
 
 /**
- * Token to tag a complex JSON value.
- * @constant
- * @type {Symbol}
+ * Relative error below which the counts left to a transition are zero.
  */
-const OBJECT = Symbol('@@OBJECT')
+const COUNT_TOLERANCE = 1e-9
 
 /**
- * Token to represent the start of runs.
- * @constant
- * @type {Symbol}
+ * Number of half-lives by which decaying counts may be inflated before they
+ * are rescaled.
  */
-const BEGIN = Symbol('@@BEGIN')
-
-/**
- * Token to represent the end of runs.
- * @constant
- * @type {Symbol}
- */
-const END = Symbol('@@END')
+const MAX_INFLATION = 64
 
 /**
  * A time-homogeneous Markov chain with optional memory.
@@ -37,19 +45,56 @@ class Chain {
    * @param {number} [options.order=0] Size of the chain's memory
    * @param {boolean} [options.useTokenMap=false] Whether to map token to states
    * @param {Map<Tuple<any>,any>} [options.model] Prebuilt state space
+   * @param {number|Function} [options.random=Math.random] Seed or random number generator
+   * @param {object} [options.limits] Size limits enforced while seeding, see `Chain#prune`
+   * @param {boolean} [options.variableOrder=false] Whether to back off to lower orders on unseen states
+   * @param {number[]} [options.backoffWeights=[1]] Weights of the longest known context and the ones below it
+   * @param {boolean} [options.keepCorpus=false] Whether to keep seeded runs to check generated runs against
+   * @param {Function} [options.tokenKey] Function from an object token to the value identifying it
+   * @param {Function|string|Array<Function|string>} [options.normalize] Normalisation of string tokens: a function, `'lowercase'`, `'NFKC'` or an array of them
+   * @param {string} [options.surfaceForm='frequent'] Whether walks output the `'frequent'` surface form of normalised tokens or `'sample'` one
+   * @param {object} [options.decay] Fading of older seeds, see `Chain#decay`
+   * @param {number} options.decay.halfLife Logical time after which seeded counts weigh half as much
+   * @param {number} [options.decay.clock=0] Current logical time
    */
-  constructor ({ corpus = [], order = 0, useTokenMap = false, model } = {}) {
+  constructor ({ corpus = [], order = 0, useTokenMap = false, model, random, limits, variableOrder = false, backoffWeights = [1], keepCorpus = false, tokenKey, normalize, surfaceForm, decay } = {}) {
+    internal(this).codecOptions = { tokenKey, normalize, surfaceForm }
+    internal(this).tokenCodec = tokenCodec(internal(this).codecOptions)
+    internal(this).decay = decay && checkDecay(decay)
+    internal(this).random = resolveRandom(random)
+    internal(this).limits = limits && checkLimits(limits)
+
+    if (keepCorpus) {
+      internal(this).corpus = new Corpus(model ? [] : corpus)
+    }
+
     if (model) {
       internal(this).model = model
-      internal(this).order = (model.keys().next()).value.length - 1
+      internal(this).order = model.size > 0
+        ? (model.keys().next()).value.length - 1
+        : order
     } else {
       internal(this).order = order
       internal(this).model = buildModel(corpus, this)
     }
 
+    if (variableOrder) {
+      if (!backoffWeights.length || !backoffWeights.every((w) => w >= 0) || !(backoffWeights[0] > 0)) {
+        throw new Error('Invalid Markov chain backoff weights. ' +
+          `Expected non-negative weights starting above 0 but got [${backoffWeights}].`)
+      }
+
+      internal(this).backoffWeights = backoffWeights
+      internal(this).models = buildBackoffModels(this.model, this.order)
+    }
+
     if (useTokenMap && this.order > 0) {
       internal(this).tokenMap = buildTokenMap(this.model)
     }
+
+    if (this.limits) {
+      this.prune()
+    }
   }
 
   /**
@@ -70,6 +115,37 @@ class Chain {
     return internal(this).model
   }
 
+  /**
+   * Models of every order from 0 up to the chain's, in variable-order chains.
+   * @readonly
+   * @type {Array<Map<Tuple<any>,any>>}
+   */
+  get models () {
+    return internal(this).models
+  }
+
+  /**
+   * Weights of the contexts mixed together when backing off.
+   *
+   * The first weight applies to the longest context found in the models, the
+   * next one to the context one order below it, and so on.
+   *
+   * @readonly
+   * @type {number[]}
+   */
+  get backoffWeights () {
+    return internal(this).backoffWeights
+  }
+
+  /**
+   * Runs the chain was seeded with, when kept.
+   * @readonly
+   * @type {Corpus}
+   */
+  get corpus () {
+    return internal(this).corpus
+  }
+
   /**
    * Initial state with BEGIN tokens.
    * @readonly
@@ -82,6 +158,15 @@ class Chain {
     return internal(this).initialState
   }
 
+  /**
+   * Chain a fork reads through to, see `Chain#fork`.
+   * @readonly
+   * @type {Chain}
+   */
+  get parent () {
+    return internal(this).parent
+  }
+
   /**
    * Map of token to state.
    * @readonly
@@ -91,6 +176,88 @@ class Chain {
     return internal(this).tokenMap
   }
 
+  /**
+   * Random number generator used by walks.
+   *
+   * When the chain was created with a numeric seed, the generator state can be
+   * saved and restored through its `state` property.
+   *
+   * @readonly
+   * @type {Function}
+   */
+  get random () {
+    return internal(this).random
+  }
+
+  /**
+   * Size limits enforced while seeding.
+   * @readonly
+   * @type {object}
+   */
+  get limits () {
+    return internal(this).limits
+  }
+
+  /**
+   * Logical clock of chains whose seeds fade over time.
+   *
+   * A run seeded at `time` weighs `2 ** ((time - clock) / halfLife)` times
+   * its weight at the current `clock`. Decay is lazy: seeds are stored
+   * inflated by `2 ** ((time - epoch) / halfLife)`, so that older counts
+   * never need updating, and every count is rescaled to the clock, which
+   * becomes the new `epoch`, once the inflation grows too large.
+   *
+   * @readonly
+   * @type {{halfLife: number, clock: number, epoch: number}}
+   */
+  get decay () {
+    return internal(this).decay
+  }
+
+  /**
+   * Advances the logical clock of a chain with decay.
+   *
+   * @param {number} [elapsed=1] Logical time elapsed
+   * @returns {number} The new clock time
+   */
+  tick (elapsed = 1) {
+    const { decay } = this
+
+    if (!decay) {
+      throw new Error('Invalid Markov chain operation. ' +
+        'Expected a chain with decay but got none.')
+    }
+
+    if (!(elapsed >= 0 && isFinite(elapsed))) {
+      throw new Error('Invalid Markov chain clock. ' +
+        `Expected a non-negative elapsed time but got ${elapsed}.`)
+    }
+
+    decay.clock += elapsed
+    rescaleCounts(this)
+
+    return decay.clock
+  }
+
+  /**
+   * Functions turning tokens into model keys and back.
+   *
+   * Object tokens are keyed by a canonical encoding, so that objects with the
+   * same keys and values are the same token whatever the order of their keys.
+   * Chains created with a `tokenKey` encode `tokenKey(token)` instead, and
+   * decode keys into the first token seen for them, kept in `values`.
+   *
+   * Chains created with a `normalize` option key string tokens by their
+   * normalised form, and count the surface forms seen for each key in
+   * `forms`, updated by `count(run, delta)`.
+   *
+   * @readonly
+   * @type {{encode: Function, decode: Function, count: Function, values: Map<Tuple<any>,any>, forms: Map<any,Map<string,number>>}}
+   */
+  get tokenCodec () {
+    return internal(this).tokenCodec
+  }
+
   /**
    * Updates a model from a single run.
    *
@@ -101,9 +268,44 @@ class Chain {
    * @param {Tuple<any>} chain.initialState Starting tuple
    * @param {number} chain.order Order of chain
    * @param {Map<any,Tuple<any>>} [chain.tokenMap] Map of token to states
+   * @param {object} [chain.limits] Size limits that trigger a `Chain#prune`
+   * @param {Array<Map<Tuple<any>,any>>} [chain.models] Lower order models to update as well
+   * @param {Corpus} [chain.corpus] Corpus to add the run to
+   * @param {object} [chain.tokenCodec] Encoder of the run tokens into model keys
+   * @param {object} [chain.decay] Logical clock of fading seeds, see `Chain#decay`
+   * @param {object} [options={}] Options object
+   * @param {number} [options.weight=1] Positive weight of the run, added to each of its transitions
+   * @param {number} [options.time=chain.decay.clock] Logical time of the run, moving the clock forward if later
    */
-  static seed (run, { model, tokenMap, initialState, order } = {}) {
-    const items = [...initialState, ...run, END]
+  static seed (run, { model, tokenMap, initialState, order, limits, models, corpus, tokenCodec, decay } = {}, { weight = 1, time } = {}) {
+    const keys = tokenCodec ? run.map(tokenCodec.encode) : run
+    const items = [...initialState, ...keys, END]
+    const touched = limits && new Set()
+    let exceeded = false
+
+    if (decay) {
+      time = time === undefined ? decay.clock : time
+      if (time > decay.clock) {
+        decay.clock = time
+        rescaleCounts({ model, models, decay })
+      }
+    }
+
+    const amount = seedAmount(weight, time, decay)
+
+    if (tokenCodec) {
+      tokenCodec.count(run)
+    }
+
+    if (corpus) {
+      corpus.add(run)
+    }
+
+    if (models) {
+      for (let k = 0; k < order; ++k) {
+        Chain.seed(keys, { model: models[k], initialState: getInitialState(k), order: k }, { weight: amount })
+      }
+    }
 
     for (let i = 0; i < run.length + 1; ++i) {
       const state = tuple(...items.slice(i, i + 1 + order))
@@ -118,8 +320,13 @@ class Chain {
       const nextCount = stateMaps[0].get(next) || 0
       const prevCount = stateMaps[1].get(prev) || 0
 
-      stateMaps[0].set(next, nextCount + 1)
-      stateMaps[1].set(prev, prevCount + 1)
+      stateMaps[0].set(next, nextCount + amount)
+      stateMaps[1].set(prev, prevCount + amount)
+
+      if (limits) {
+        touched.add(state)
+        exceeded = exceeded || Math.max(stateMaps[0].size, stateMaps[1].size) > limits.maxTransitionsPerState
+      }
 
       if (tokenMap) {
         for (const token of state) {
@@ -131,289 +338,1723 @@ class Chain {
         }
       }
     }
+
+    if (limits && (exceeded || model.size > limits.maxStates)) {
+      pruneTouched({ model, tokenMap, initialState, order, models, decay }, limits, touched)
+    }
   }
 
   /**
-   * Randomly chooses a new step from a given state.
+   * Reverts the updates made to a model by a single run.
    *
-   * @private
-   * @param {Tuple<any>} fromState The state to move from
-   * @param {boolean} [forward] Movement direction
-   * @returns {any} A possible next step of the chain
+   * Every transition of the run must have been seeded before, with at least
+   * the same weight at the same time. Transitions whose counts drop to zero
+   * are deleted, as well as states left without transitions, which are also
+   * removed from the token map. Chains with decay need the time the run was
+   * seeded at, as their clock may have moved since.
+   *
+   * @static
+   * @param {Array<any>} run Array of tokens
+   * @param {object} [chain={}] Chain object
+   * @param {Map<Tuple<any>,any>} chain.model Model to update
+   * @param {Tuple<any>} chain.initialState Starting tuple
+   * @param {number} chain.order Order of chain
+   * @param {Map<any,Tuple<any>>} [chain.tokenMap] Map of token to states
+   * @param {Array<Map<Tuple<any>,any>>} [chain.models] Lower order models to update as well
+   * @param {Corpus} [chain.corpus] Corpus to remove the run from
+   * @param {object} [chain.tokenCodec] Encoder of the run tokens into model keys
+   * @param {object} [chain.decay] Logical clock of fading seeds, see `Chain#decay`
+   * @param {object} [options={}] Options object
+   * @param {number} [options.weight=1] Weight the run was seeded with
+   * @param {number} [options.time] Logical time the run was seeded at, required with `chain.decay`
    */
-  _step (fromState, forward = true) {
-    const index = forward ? 0 : 1
-    const failToken = forward ? END : BEGIN
-    const stateArr = this.model.get(fromState)
-
-    if (!stateArr) {
-      return failToken
+  static unseed (run, { model, tokenMap, initialState, order, models, corpus, tokenCodec, decay } = {}, { weight = 1, time } = {}) {
+    if (decay && time === undefined) {
+      throw new Error('Invalid Markov chain clock. ' +
+        'Expected the time the run was seeded at but got none.')
     }
 
-    const choices = [...stateArr[index].keys()]
-    const weights = [...stateArr[index].values()]
+    const keys = tokenCodec ? run.map(tokenCodec.encode) : run
+    const items = [...initialState, ...keys, END]
+    const amount = seedAmount(weight, time, decay)
+    const pending = new Map()
 
-    return randomElement(choices, weights)
-  }
+    for (let i = 0; i < run.length + 1; ++i) {
+      const state = tuple(...items.slice(i, i + 1 + order))
+      const next = items[i + 1 + order]
+      const prev = items[i - 1] || BEGIN
+      const stateMaps = model.get(state)
 
-  /**
-   * Generates successive states until it finds a stop token.
-   *
-   * @private
-   * @param {Tuple<any>} [fromState] Initial state
-   * @param {boolean} [forward=true] Movement direction
-   * @yield {any} Next step on the chain
-   */
-  * _walk (fromState, forward = true) {
-    const stopToken = forward ? END : BEGIN
-    let state = fromState || this.initialState
+      if (!stateMaps) {
+        throw new Error('Invalid Markov chain run. ' +
+          `Expected a seeded run but got unknown state (${state.map(stringifyToken)}).`)
+      }
 
-    while (true) {
-      let step = this._step(state, forward)
+      // forks return new views of the same state on every get
+      if (!pending.has(state)) {
+        pending.set(state, [stateMaps, weightMap(), weightMap()])
+      }
 
-      if (step === stopToken) {
-        break
+      const [, nextCounts, prevCounts] = pending.get(state)
+      nextCounts.set(next, (nextCounts.get(next) || 0) + amount)
+      prevCounts.set(prev, (prevCounts.get(prev) || 0) + amount)
+
+      if (!covers(stateMaps[0].get(next), nextCounts.get(next)) ||
+        !covers(stateMaps[1].get(prev), prevCounts.get(prev))) {
+        throw new Error('Invalid Markov chain run. ' +
+          `Expected a seeded run but got unknown transition (${state.map(stringifyToken)}).`)
       }
+    }
 
-      if (isObjectToken(step)) {
-        try {
-          step = JSON.parse(step[1])
-        } catch (_) {}
+    if (models) {
+      for (let k = 0; k < order; ++k) {
+        Chain.unseed(keys, { model: models[k], initialState: getInitialState(k), order: k }, { weight: amount })
       }
+    }
 
-      yield step
+    if (tokenCodec) {
+      tokenCodec.count(run, -1)
+    }
 
-      if (forward) {
-        state = tuple(...state.slice(1), step)
-      } else {
-        state = tuple(step, ...state.slice(0, state.length - 1))
+    if (corpus) {
+      corpus.remove(run)
+    }
+
+    for (const [state, [stateMaps, ...counts]] of pending) {
+      counts.forEach((countMap, index) => {
+        for (const [token, count] of countMap) {
+          const remaining = stateMaps[index].get(token) - count
+          if (remaining > COUNT_TOLERANCE * count) {
+            stateMaps[index].set(token, remaining)
+          } else {
+            stateMaps[index].delete(token)
+          }
+        }
+      })
+
+      if (stateMaps[0].size === 0) {
+        model.delete(state)
+
+        if (tokenMap) {
+          for (const token of state) {
+            const entry = tokenMap.get(token)
+            if (!entry) continue
+            entry.delete(state)
+            if (entry.size === 0) {
+              tokenMap.delete(token)
+            }
+          }
+        }
       }
     }
   }
 
   /**
-   * Generates successive states until the chain reaches an END.
+   * Removes a single run from the chain.
    *
-   * @param {Tuple<any>} [fromState] Begin state of the chain walk
-   * @yield {any} Next succeding step of the chain
+   * @param {Array<any>} run Array of tokens previously seeded
+   * @param {object} [options] Weight and time the run was seeded with, see `Chain.unseed`
+   * @see Chain.unseed
    */
-  * walkForward (fromState) {
-    yield * this._walk(fromState)
+  forget (run, options) {
+    Chain.unseed(run, this, options)
   }
 
   /**
-   * Generates successive states until the chain reaches a BEGIN.
+   * Seeds the chain with every run of a source.
    *
-   * @param {Tuple<any>} [fromState] Starting state of the chain walk
-   * @yield {any} Next preceeding step of the chain
-   */
-  * walkBackward (fromState) {
-    yield * this._walk(fromState, false)
-  }
-
-  /**
-   * Generates a state tuple from an array of tokens.
+   * Sources can be Node readable streams or (async) iterables. Sources of
+   * arrays are read as runs, while sources of text are read as
+   * newline-delimited JSON, one run per line.
    *
-   * @private
-   * @param {Array<any>} [tokens=[]] Input tokens
-   * @param {boolean} [useTokenMap=false] Whether to use token map
-   * @returns {Tuple<any>} State tuple
+   * @async
+   * @param {AsyncIterable<any>|Iterable<any>} source Runs or text chunks
+   * @param {object} [options={}] Options object
+   * @param {AbortSignal} [options.signal] Signal to stop training
+   * @param {Function} [options.onProgress] Called with `{ runs, tokens }` seeded so far
+   * @param {number} [options.progressInterval=1000] Number of runs between progress calls
+   * @returns {Promise<object>} Number of seeded runs and tokens
    */
-  _genStateFrom (tokens = [], useTokenMap = false) {
-    const { order, initialState, model } = this
-    const run = [...tokens]
-    const tuples = []
-    const items = [...initialState, ...run, END]
-
-    for (let i = 0; i < run.length + 1; ++i) {
-      tuples.push(tuple(...items.slice(i, i + 1 + order)))
-    }
+  async train (source, { signal, onProgress, progressInterval = 1000 } = {}) {
+    const progress = { runs: 0, tokens: 0 }
 
-    const starts = tuples.slice(1)
-      .filter((t) => model.has(t))
+    for await (const run of readRuns(source, { signal })) {
+      if (signal && signal.aborted) {
+        throw abortError('Markov chain training aborted.')
+      }
 
-    let result = randomElement(starts)
+      Chain.seed(run, this)
+      progress.runs++
+      progress.tokens += run.length
 
-    if (!result && useTokenMap && tokens.length > 0 && this.tokenMap) {
-      const choices = tokens.filter((t) => this.tokenMap.has(t))
-      if (choices.length > 0) {
-        const token = randomElement(choices)
-        const possibleStates = [...this.tokenMap.get(token)]
-        result = randomElement(possibleStates)
+      if (onProgress && progress.runs % progressInterval === 0) {
+        onProgress({ ...progress })
       }
     }
 
-    return result || initialState
+    if (onProgress && progress.runs % progressInterval !== 0) {
+      onProgress({ ...progress })
+    }
+
+    return progress
   }
 
   /**
-   * Walks the Markov chain and returns all steps.
-   *
-   * The returned step array will look like:
-   * ```javascript
-   * [ [backward_steps], [starting_tokens], [forward_steps] ]
-   * ```
+   * Creates a Chain from a source of runs.
    *
-   * The starting tokens are only returned when forward or backward steps were
-   * actually generated from a subset of the {options.tokens} parameter.
-   *
-   * @param {object} [options] Options object
-   * @param {Array<any>} [options.tokens=[]] Starting state tokens
-   * @param {boolean} [options.backSearch=true] Should walk back
-   * @param {boolean} [options.useTokenMap=true] Whether to use token map
-   * @param {boolean} [options.runMissingTokens=true] Whether to answer when tokens are not in model
-   * @returns {Array<Array<any>>} Array with back root and forward steps
+   * @static
+   * @async
+   * @param {AsyncIterable<any>|Iterable<any>} source Runs or text chunks, see `Chain#train`
+   * @param {object} [options={}] Options to Chain constructor and `Chain#train`
+   * @returns {Promise<Chain>} A new chain instance
    */
-  run ({ tokens = [], backSearch = true, useTokenMap = true, runMissingTokens = true } = {}) {
-    const startState = this._genStateFrom(tokens, useTokenMap)
-
-    let hasSteps = startState !== this.initialState
-    if (!runMissingTokens && tokens.length > 0 && !hasSteps) {
-      return [[], [], []]
-    }
-
-    const forwardSteps = [...this.walkForward(startState)]
-    hasSteps = hasSteps || forwardSteps.length > 0
-
-    let backSteps = []
-    if (backSearch) {
-      backSteps = [...this.walkBackward(startState)].reverse()
-      hasSteps = hasSteps || backSteps.length > 0
-    }
+  static async fromStream (source, { signal, onProgress, progressInterval, ...options } = {}) {
+    const chain = new Chain(options)
+    await chain.train(source, { signal, onProgress, progressInterval })
+    return chain
+  }
 
-    return [
-      backSteps,
-      hasSteps ? [...startState].filter((t) => t !== BEGIN) : [],
-      forwardSteps
-    ]
+  /**
+   * Creates a Chain from a corpus seeded in worker threads, without blocking
+   * the event loop.
+   *
+   * @static
+   * @async
+   * @param {Iterable<Array<any>>} corpus Sample runs of the process
+   * @param {object} [options={}] Options to Chain constructor and `parallel.train`
+   * @param {number} [options.workers=os.cpus().length] Maximum number of worker threads
+   * @returns {Promise<Chain>} A new chain instance, the same as `new Chain({ corpus })`
+   * @see parallel.train
+   */
+  static trainParallel (corpus, options) {
+    return require('./parallel').train(corpus, options)
   }
 
   /**
-   * Serialises the chain into a JSONable array.
+   * Shrinks the model down to the given limits.
    *
-   * The returned array will look like:
-   * ```javascript
-   * [ [ [state], [ [next, count], ...], [ [prev, count], ...] ], ...]
-   * ```
+   * Transitions seen less than `minCount` times, as of the current clock in
+   * chains with decay, are dropped, only the
+   * `maxTransitionsPerState` most common transitions of each state are kept,
+   * and the least visited states are dropped until there are at most
+   * `maxStates` of them. Afterwards, every state that can no longer reach
+   * both an END and a BEGIN is removed as well, so walks never get stuck.
    *
-   * @returns {Array<any>} JSON array
-   * @see {@link https://mdn.io/stringify#toJSON()_behavior}
+   * A transition is counted both in the next weights of its state and in the
+   * previous weights of the state it leads to, and is dropped from both.
+   *
+   * Limits given to the constructor are enforced once the corpus is built, and
+   * again whenever seeding exceeds `maxStates` or `maxTransitionsPerState`,
+   * starting from the states the seed updated and dropping the states they
+   * leave stranded.
+   *
+   * @param {object} [limits=this.limits] Size limits
+   * @param {number} [limits.minCount=0] Minimum count of a transition
+   * @param {number} [limits.maxStates=Infinity] Maximum number of states
+   * @param {number} [limits.maxTransitionsPerState=Infinity] Maximum transitions per direction of a state
+   * @returns {number} Number of removed states
    */
-  toJSON () {
-    const serialised = []
-
-    for (const [state, [next, prev]] of this.model) {
-      const stateArr = [...state].map(stringifyToken)
-
-      const nextArr = [...next].map(([value, count]) => {
-        return [stringifyToken(value), count]
-      })
-
-      const prevArr = [...prev].map(([value, count]) => {
-        return [stringifyToken(value), count]
-      })
-
-      serialised.push([stateArr, [nextArr, prevArr]])
-    }
-
-    return serialised
+  prune (limits = this.limits) {
+    return pruneModel(this, checkLimits(limits))
   }
 
   /**
-   * Creates a Chain from a JSON string.
+   * Combines chains of the same order into one.
+   *
+   * By default, the models are merged into a new chain whose transition counts
+   * are the weighted sums of the counts of each chain, decayed to their
+   * clocks. A token map is built if any chain has one.
+   *
+   * In lazy mode, a `Mixture` is returned instead: it reads the same weighted
+   * sums through the chains at each step, without copying any model.
    *
    * @static
-   * @param {string} jsonChain A chain serialised with `Chain.toJSON`
-   * @param {object} options Additional options to Chain constructor
+   * @param {Chain[]} chains Chains to combine
+   * @param {number[]} [weights] Weight of each chain, 1 by default
+   * @param {object} [options={}] Options object, also passed to the new chain
+   * @param {boolean} [options.lazy=false] Whether to sample from the chains instead of merging them
    * @returns {Chain} A new chain instance
    */
-  static fromJSON (jsonChain, options) {
-    let order
-
-    const states = JSON.parse(jsonChain).map(
-      ([state, [nextList, prevList]], index) => {
-        const curStateSize = state.length
-
-        if (index === 0) {
-          order = curStateSize - 1
-        } else if (curStateSize !== order + 1) {
-          throw new Error('Inconsistent Markov chain order. ' +
-            `Expected ${order} but got ${curStateSize - 1} (${state}).`)
-        }
-
-        const stateTuple = state.map(parseTokenString)
+  static combine (chains, weights = chains.map(() => 1), { lazy = false, ...options } = {}) {
+    if (chains.length === 0) {
+      throw new Error('Invalid Markov chain combination. ' +
+        'Expected at least one chain but got none.')
+    }
 
-        const nextMap = weightMap()
-        for (const [key, count] of nextList) {
-          nextMap.set(parseTokenString(key), count)
-        }
+    if (weights.length !== chains.length || !weights.every((w) => w >= 0)) {
+      throw new Error('Invalid Markov chain combination. ' +
+        `Expected ${chains.length} non-negative weights but got [${weights}].`)
+    }
 
-        const prevMap = weightMap()
-        for (const [key, count] of prevList) {
-          prevMap.set(parseTokenString(key), count)
-        }
+    const { order } = chains[0]
+    chains.forEach((chain, index) => {
+      if (chain.order !== order) {
+        throw new Error('Inconsistent Markov chain order. ' +
+          `Expected ${order} but got ${chain.order} (chain ${index}).`)
+      }
+    })
 
-        return [tuple(...stateTuple), [nextMap, prevMap]]
-      })
+    if (lazy) {
+      const Mixture = require('./mixture')
+      return new Mixture(chains, weights, options)
+    }
 
     const model = stateSpace()
 
-    for (const [state, follow] of states) {
-      model.set(state, follow)
-    }
+    chains.forEach((chain, index) => {
+      if (weights[index] === 0) return
+      const weight = weights[index] / countScale(chain)
 
-    return new Chain({ ...options, model })
-  }
-}
+      for (const [state, stateMaps] of chain.model) {
+        if (!model.has(state)) {
+          model.set(state, [weightMap(), weightMap()])
+        }
 
-/**
- * Generates a initial state for a chain of the given order.
- * @param {number} order Order of chain
- * @returns {Tuple<any>} Initial state
- */
-function getInitialState (order) {
-  return tuple(...Array(1 + order).fill(BEGIN))
-}
+        model.get(state).forEach((counts, direction) => {
+          for (const [token, count] of stateMaps[direction]) {
+            counts.set(token, (counts.get(token) || 0) + count * weight)
+          }
+        })
+      }
+    })
 
-/**
- * Tests if token is complex object.
- * @param {any} token
- * @returns {boolean}
- */
-function isObjectToken (token) {
-  return tuple.isTuple(token) && token[0] === OBJECT
-}
+    const combined = new Chain({
+      useTokenMap: chains.some((chain) => chain.tokenMap),
+      ...options,
+      order,
+      model
+    })
 
-const symbolRegex = /^Symbol\((@@BEGIN|@@END)\)$/
-const objectRegex = /^Object\((.*)\)$/
+    const { values, forms } = combined.tokenCodec
+    chains.forEach((chain, index) => {
+      for (const [key, value] of chain.tokenCodec.values) {
+        if (!values.has(key)) values.set(key, value)
+      }
 
-/**
- * Transforms token type to proper token string.
- * @param {any} token
- * @returns {string} String token
- */
-function stringifyToken (token) {
-  if (token === BEGIN) return BEGIN.toString()
-  if (token === END) return END.toString()
-  if (isObjectToken(token)) return `Object(${token[1]})`
-  if (typeof token === 'string' && (symbolRegex.test(token) || objectRegex.test(token))) {
-    return `"${token}"`
+      for (const [key, surfaces] of chain.tokenCodec.forms) {
+        if (!forms.has(key)) forms.set(key, new Map())
+        const counts = forms.get(key)
+        for (const [surface, count] of surfaces) {
+          counts.set(surface, (counts.get(surface) || 0) + count * weights[index])
+        }
+      }
+    })
+
+    return combined
   }
-  return token
-}
 
-/**
- * Transforms token string to proper token type.
- * @param {string} string
- * @returns {any} Chain token
- */
-function parseTokenString (string) {
-  if (string === BEGIN.toString()) return BEGIN
-  if (string === END.toString()) return END
-  let res
-  if ((res = objectRegex.exec(string))) return JSON.parse(res[1])
-  return string
-}
+  /**
+   * Copies the chain into a new, independent chain.
+   *
+   * Models, token map, token values and forms, corpus and clock are copied,
+   * as well as the state of seeded random number generators. Clones of forks
+   * are flattened and no longer read through to the parent.
+   *
+   * @returns {Chain} A new chain instance
+   */
+  clone () {
+    const clone = emptyChain(this)
+    setState(clone, copyState(stateOf(this), { flatten: true }))
+    return clone
+  }
+
+  /**
+   * Creates a copy-on-write view of the chain.
+   *
+   * The fork reads its model and token map through to the chain, and keeps
+   * the count deltas of its own seeds, so that many forks can learn
+   * separately from one base chain without copying it. The chain itself
+   * should no longer change: forks would see its updates. Token values and
+   * forms, corpus and clock are copied.
+   *
+   * @example
+   * const trial = chain.fork()
+   * Chain.seed(conversation, trial)
+   *
+   * @returns {Chain} A new chain instance reading through to this one
+   */
+  fork () {
+    const { model, models, tokenMap, tokenCodec, corpus, decay } = this
+    const fork = emptyChain(this)
+    const forkModel = new ForkModel(model)
+
+    internal(fork).parent = this
+    setState(fork, {
+      model: forkModel,
+      models: models && models.map((lower) => lower === model ? forkModel : new ForkModel(lower)),
+      tokenMap: tokenMap && new ForkTokenMap(tokenMap),
+      values: new Map(tokenCodec.values),
+      forms: copyForms(tokenCodec.forms),
+      corpus: corpus && new Corpus(corpus),
+      decay: decay && { ...decay },
+      randomState: this.random.state
+    })
+
+    return fork
+  }
+
+  /**
+   * Saves the state of the chain, to roll it back with `Chain#restore`.
+   *
+   * Snapshots are copies of the models, token map, token values and forms,
+   * corpus, clock and seeded random number generator state. Snapshots of
+   * forks only copy their deltas.
+   *
+   * @returns {object} Opaque snapshot
+   */
+  snapshot () {
+    return { order: this.order, ...copyState(stateOf(this)) }
+  }
+
+  /**
+   * Rolls the chain back to a snapshot, which can be restored again later.
+   *
+   * @param {object} snapshot Result of `Chain#snapshot`
+   */
+  restore (snapshot) {
+    if (!snapshot || snapshot.order !== this.order || !snapshot.model) {
+      throw new Error('Invalid Markov chain snapshot. ' +
+        `Expected a snapshot of order ${this.order} but got ${snapshot && snapshot.order}.`)
+    }
+
+    setState(this, copyState(snapshot))
+  }
+
+  /**
+   * Randomly chooses a new step from a given state.
+   *
+   * @private
+   * @param {Tuple<any>} fromState The state to move from
+   * @param {boolean} [forward] Movement direction
+   * @param {object} [options={}] Options object
+   * @param {Function} [options.random] Random number generator
+   * @param {object} [options.sampling] Sampling controls for `util.adjustWeights`
+   * @param {Set<any>} [options.banned] Encoded tokens never to step to
+   * @returns {any} A possible next step of the chain
+   */
+  _step (fromState, forward = true, { random = this.random, sampling, banned } = {}) {
+    const failToken = forward ? END : BEGIN
+    const stepWeights = this._stepWeights(fromState, forward)
+
+    if (!stepWeights) {
+      return failToken
+    }
+
+    if (!sampling && !banned) {
+      const { choices, distributionSum } = samplingTable(stepWeights)
+      return choices.length > 0 ? choices[cumulativePick(distributionSum, random)] : failToken
+    }
+
+    let choices = [...stepWeights.keys()]
+    let weights = [...stepWeights.values()]
+
+    if (banned) {
+      weights = weights.filter((_, i) => !banned.has(choices[i]))
+      choices = choices.filter((choice) => !banned.has(choice))
+    }
+
+    if (sampling) {
+      [choices, weights] = adjustWeights(choices, weights, sampling)
+    }
+
+    if (choices.length === 0) {
+      return failToken
+    }
+
+    return randomElement(choices, weights, random)
+  }
+
+  /**
+   * Gets the weights of the possible steps from a given state.
+   *
+   * @private
+   * @param {Tuple<any>} fromState The state to move from
+   * @param {boolean} [forward=true] Movement direction
+   * @returns {Map<any,number>} Step weights, if the state is known
+   */
+  _stepWeights (fromState, forward = true) {
+    const index = forward ? 0 : 1
+
+    if (this.models) {
+      return this._backoffWeightsFrom(fromState, index)
+    }
+
+    return (this.model.get(fromState) || [])[index]
+  }
+
+  /**
+   * Mixes the step weights of the longest known contexts of a state.
+   *
+   * Lower order weights are rescaled to the total count of the longest
+   * context, so a single backoff weight keeps the raw counts.
+   *
+   * @private
+   * @param {Tuple<any>} fromState The state to move from
+   * @param {number} index Index of the weight map, 0 forward and 1 backward
+   * @returns {Map<any,number>} Step weights, if any context is known
+   */
+  _backoffWeightsFrom (fromState, index) {
+    const { models, backoffWeights } = this
+    const levels = []
+
+    for (let k = Math.min(fromState.length, models.length) - 1; k >= 0 && levels.length < backoffWeights.length; --k) {
+      const context = index === 0
+        ? fromState.slice(fromState.length - k - 1)
+        : fromState.slice(0, k + 1)
+      const stateArr = models[k].get(context)
+      if (stateArr) levels.push(stateArr[index])
+    }
+
+    if (levels.length < 2) {
+      return levels[0]
+    }
+
+    const totals = levels.map((weights) => [...weights.values()].reduce((a, b) => a + b, 0))
+    const mixed = new Map()
+
+    levels.forEach((weights, level) => {
+      const scale = backoffWeights[level] * totals[0] / totals[level]
+      for (const [token, count] of weights) {
+        mixed.set(token, (mixed.get(token) || 0) + count * scale)
+      }
+    })
+
+    return mixed
+  }
+
+  /**
+   * Generates successive states until it finds a stop token, or a walk
+   * limit stops it.
+   *
+   * @private
+   * @param {Tuple<any>} [fromState] Initial state
+   * @param {boolean} [forward=true] Movement direction
+   * @param {object} [options={}] Options passed to `_step`, and walk limits from `walkOptions`
+   * @yield {any} Next step on the chain
+   * @returns {string} Reason the walk stopped, see `Chain#walkForward`
+   */
+  * _walk (fromState, forward = true, options = {}) {
+    const { maxSteps = Infinity, cycles = 'allow', signal, deadline } = options
+    const stopToken = forward ? END : BEGIN
+    const size = this.order + 1
+    let state = fromState || this.initialState
+    const visited = cycles === 'allow' ? null : new Set([state])
+    let count = 0
+
+    while (true) {
+      if (signal && signal.aborted) {
+        return 'aborted'
+      }
+
+      if (deadline !== undefined && Date.now() >= deadline) {
+        return 'deadline'
+      }
+
+      let step = this._step(state, forward, options)
+
+      if (step === stopToken) {
+        return this._canStop(state, forward) ? 'end' : 'stuck'
+      }
+
+      let next = moveState(state, step, forward, size)
+
+      if (visited && visited.has(next)) {
+        if (cycles === 'stop') {
+          return 'cycle'
+        }
+
+        // redirects to steps leading to unvisited states, if any
+        const banned = new Set(options.banned)
+        while (visited.has(next)) {
+          banned.add(step)
+          step = this._step(state, forward, { ...options, banned })
+
+          if (step === stopToken) {
+            return this._canStop(state, forward) ? 'end' : 'cycle'
+          }
+
+          next = moveState(state, step, forward, size)
+        }
+      }
+
+      if (count >= maxSteps) {
+        return 'maxSteps'
+      }
+
+      yield this.tokenCodec.decode(step, options.random)
+      count++
+
+      if (visited) {
+        visited.add(next)
+      }
+      state = next
+    }
+  }
+
+  /**
+   * Tests whether a state may be followed by the stop token, so that `_step`
+   * returning it is an actual end rather than a lack of any allowed step.
+   *
+   * @private
+   * @param {Tuple<any>} state State to move from
+   * @param {boolean} forward Movement direction
+   * @returns {boolean}
+   */
+  _canStop (state, forward) {
+    const weights = this._stepWeights(state, forward)
+    return Boolean(weights) && weights.has(forward ? END : BEGIN)
+  }
+
+  /**
+   * Generates successive states until the chain reaches an END, or a walk
+   * limit stops it.
+   *
+   * @param {Tuple<any>} [fromState] Begin state of the chain walk
+   * @param {object} [options={}] Options object
+   * @param {number|Function} [options.random] Seed or random number generator
+   * @param {number} [options.temperature=1] Sampling temperature, 0 always picks the most common step
+   * @param {number} [options.topK=Infinity] Sample only from the `topK` most common steps
+   * @param {number} [options.topP=1] Sample only from the most common steps within this probability mass
+   * @param {number} [options.minCount=0] Ignore steps seen less than `minCount` times
+   * @param {number} [options.maxSteps=Infinity] Maximum number of steps
+   * @param {string} [options.cycles='allow'] Whether to `'allow'` walks to revisit a state, `'stop'` them or `'redirect'` them to unvisited states
+   * @param {AbortSignal} [options.signal] Signal to stop the walk
+   * @param {number|Date} [options.deadline] Time at which to stop the walk
+   * @yield {any} Next succeding step of the chain
+   * @returns {string} Reason the walk stopped: `'end'`, `'maxSteps'`, `'cycle'`, `'aborted'`, `'deadline'`, or `'stuck'` when the state is unknown or all its steps are banned or filtered out
+   */
+  * walkForward (fromState, options = {}) {
+    return yield * this._walk(fromState, true, walkOptions(this, options))
+  }
+
+  /**
+   * Generates successive states until the chain reaches an END, yielding to
+   * the event loop every `yieldEvery` steps, see `Chain#walkForward`.
+   *
+   * @param {Tuple<any>} [fromState] Begin state of the chain walk
+   * @param {object} [options={}] Options to `Chain#walkForward`
+   * @param {number} [options.yieldEvery=100] Number of steps between pauses
+   * @yield {any} Next succeding step of the chain
+   * @returns {Promise<string>} Reason the walk stopped
+   */
+  async * walkForwardAsync (fromState, { yieldEvery, ...options } = {}) {
+    return yield * pausing(this._walk(fromState, true, walkOptions(this, options)), yieldEvery)
+  }
+
+  /**
+   * Generates successive states until the chain reaches a BEGIN, or a walk
+   * limit stops it.
+   *
+   * @param {Tuple<any>} [fromState] Starting state of the chain walk
+   * @param {object} [options={}] Options object
+   * @param {number|Function} [options.random] Seed or random number generator
+   * @param {number} [options.temperature=1] Sampling temperature, 0 always picks the most common step
+   * @param {number} [options.topK=Infinity] Sample only from the `topK` most common steps
+   * @param {number} [options.topP=1] Sample only from the most common steps within this probability mass
+   * @param {number} [options.minCount=0] Ignore steps seen less than `minCount` times
+   * @param {number} [options.maxSteps=Infinity] Maximum number of steps
+   * @param {string} [options.cycles='allow'] Whether to `'allow'` walks to revisit a state, `'stop'` them or `'redirect'` them to unvisited states
+   * @param {AbortSignal} [options.signal] Signal to stop the walk
+   * @param {number|Date} [options.deadline] Time at which to stop the walk
+   * @yield {any} Next preceeding step of the chain
+   * @returns {string} Reason the walk stopped: `'end'`, `'maxSteps'`, `'cycle'`, `'aborted'`, `'deadline'`, or `'stuck'` when the state is unknown or all its steps are banned or filtered out
+   */
+  * walkBackward (fromState, options = {}) {
+    return yield * this._walk(fromState, false, walkOptions(this, options))
+  }
+
+  /**
+   * Generates successive states until the chain reaches a BEGIN, yielding to
+   * the event loop every `yieldEvery` steps, see `Chain#walkBackward`.
+   *
+   * @param {Tuple<any>} [fromState] Starting state of the chain walk
+   * @param {object} [options={}] Options to `Chain#walkBackward`
+   * @param {number} [options.yieldEvery=100] Number of steps between pauses
+   * @yield {any} Next preceeding step of the chain
+   * @returns {Promise<string>} Reason the walk stopped
+   */
+  async * walkBackwardAsync (fromState, { yieldEvery, ...options } = {}) {
+    return yield * pausing(this._walk(fromState, false, walkOptions(this, options)), yieldEvery)
+  }
+
+  /**
+   * Generates a state tuple from an array of tokens.
+   *
+   * @private
+   * @param {Array<any>} [tokens=[]] Input tokens
+   * @param {boolean} [useTokenMap=false] Whether to use token map
+   * @param {object} [options={}] Options object
+   * @param {Function} [options.random] Random number generator
+   * @returns {Tuple<any>} State tuple
+   */
+  _genStateFrom (tokens = [], useTokenMap = false, { random = this.random } = {}) {
+    const { initialState } = this
+    let result = randomElement(this._matchingStates(tokens), undefined, random)
+
+    if (!result && useTokenMap && tokens.length > 0 && this.tokenMap) {
+      const choices = tokens.filter((t) => this.tokenMap.has(t))
+      if (choices.length > 0) {
+        const token = randomElement(choices, undefined, random)
+        const possibleStates = [...this.tokenMap.get(token)]
+        result = randomElement(possibleStates, undefined, random)
+      }
+    }
+
+    return result || initialState
+  }
+
+  /**
+   * Finds the known states made of consecutive input tokens.
+   *
+   * Variable-order chains look for lower order states when no state of the
+   * chain's order is known.
+   *
+   * @private
+   * @param {Array<any>} [tokens=[]] Input tokens
+   * @returns {Array<Tuple<any>>} Known states of the longest order found
+   */
+  _matchingStates (tokens = []) {
+    const { order, initialState } = this
+    const items = [...initialState, ...tokens, END]
+    const lowest = this.models ? 0 : order
+
+    for (let k = order; k >= lowest; --k) {
+      const model = k === order ? this.model : this.models[k]
+      const orderItems = items.slice(order - k)
+      const states = []
+
+      for (let i = 1; i < tokens.length + 1; ++i) {
+        const state = tuple(...orderItems.slice(i, i + 1 + k))
+        if (model.has(state)) states.push(state)
+      }
+
+      if (states.length > 0) {
+        return states
+      }
+    }
+
+    return []
+  }
+
+  /**
+   * Finds the most likely runs of the chain with beam search.
+   *
+   * Runs are searched forward, and backward if `backSearch` is set, from every
+   * known state made of the input tokens, or from the token map states of
+   * those tokens. Only runs reaching an END (and a BEGIN) within `maxLength`
+   * steps are returned. Tokens are decoded into their most frequent surface
+   * form, so that the search stays deterministic.
+   *
+   * The returned array will look like:
+   * ```javascript
+   * [ { steps: [ [backward_steps], [starting_tokens], [forward_steps] ], probability, logProb }, ...]
+   * ```
+   *
+   * @param {object} [options] Options object
+   * @param {Array<any>} [options.tokens=[]] Starting state tokens
+   * @param {number} [options.beamWidth=5] Number of partial runs kept at each step
+   * @param {number} [options.maxLength=50] Maximum number of steps in each direction
+   * @param {number} [options.n=1] Number of runs to return
+   * @param {boolean} [options.backSearch=true] Should search back
+   * @param {boolean} [options.useTokenMap=true] Whether to use token map
+   * @returns {Array<object>} Most likely runs, most likely first
+   */
+  mostLikely ({ tokens = [], beamWidth = 5, maxLength = 50, n = 1, backSearch = true, useTokenMap = true } = {}) {
+    const { encode, decode } = this.tokenCodec
+    tokens = tokens.map(encode)
+    let starts = this._matchingStates(tokens)
+
+    if (starts.length === 0 && useTokenMap && this.tokenMap) {
+      const mapped = new Set()
+      for (const token of tokens) {
+        for (const state of this.tokenMap.get(token) || []) mapped.add(state)
+      }
+      starts = [...mapped]
+    }
+
+    if (starts.length === 0) {
+      starts = [this.initialState]
+    }
+
+    const options = { beamWidth, maxLength }
+    const results = []
+
+    for (const start of starts) {
+      const forwardRuns = beamSearch(this, start, true, options)
+      const backRuns = backSearch
+        ? beamSearch(this, start, false, options)
+        : [{ steps: [], logProb: 0 }]
+      const startTokens = [...start].filter((t) => t !== BEGIN).map((t) => decode(t))
+
+      for (const back of backRuns) {
+        for (const forward of forwardRuns) {
+          const logProb = back.logProb + forward.logProb
+          results.push({
+            steps: [[...back.steps].reverse(), startTokens, forward.steps],
+            probability: Math.exp(logProb),
+            logProb
+          })
+        }
+      }
+    }
+
+    return results
+      .sort((a, b) => b.logProb - a.logProb)
+      .slice(0, n)
+  }
+
+  /**
+   * Generates tokens bridging two runs of tokens.
+   *
+   * The bridge starts from any state ending with the last tokens of
+   * `fromTokens`, or from the initial state when they are empty, and leads to
+   * any state able to step through the first tokens of `toTokens`, or to step
+   * to the end of a run when they are empty. The model is searched forward and
+   * backward at once, so one of the shortest bridges is found; ties are broken
+   * at random.
+   *
+   * @param {Array<any>} [fromTokens=[]] Tokens before the bridge
+   * @param {Array<any>} [toTokens=[]] Tokens after the bridge
+   * @param {object} [options] Options object
+   * @param {number} [options.maxLength=20] Maximum number of tokens between both runs
+   * @param {number|Function} [options.random] Seed or random number generator for this search
+   * @returns {Array<any>} Both runs joined by the bridge, or `null` if none is found
+   */
+  bridge (fromTokens = [], toTokens = [], { maxLength = 20, random } = {}) {
+    const options = walkOptions(this, { random })
+    const { encode, decode } = this.tokenCodec
+    const sources = bridgeSources(this, fromTokens.map(encode))
+    const targets = bridgeTargets(this, toTokens.length > 0 ? toTokens.map(encode) : [END])
+    const steps = bridgeSearch(this, sources, targets, { maxLength, random: options.random })
+
+    if (steps === null) {
+      return null
+    }
+
+    return [...fromTokens, ...steps.map((t) => decode(t, options.random)), ...toTokens]
+  }
+
+  /**
+   * Walks the Markov chain and returns all steps.
+   *
+   * The returned step array will look like:
+   * ```javascript
+   * [ [backward_steps], [starting_tokens], [forward_steps] ]
+   * ```
+   *
+   * The starting tokens are only returned when forward or backward steps were
+   * actually generated from a subset of the {options.tokens} parameter.
+   *
+   * When any length or overlap limit, or any required or final token is given,
+   * runs are generated until one passes all of them, for at most
+   * `options.tries` attempts; then `null` is returned. Overlap limits need a
+   * chain created with `keepCorpus`. Runs without starting tokens start from
+   * the required tokens, and `null` is returned right away when a required or
+   * final token is unknown to the model. Runs passing limits are never empty,
+   * unless `options.minLength` is 0.
+   *
+   * Banned tokens are never stepped to. They may only appear as starting
+   * tokens, in which case the run is rejected as well.
+   *
+   * Walk limits, such as `maxSteps`, `cycles`, `signal` and `deadline`, stop
+   * each walk early, see `Chain#walkForward`. With `details`, an object is
+   * returned instead, whose `stopped` property tells why the backward and
+   * forward walks stopped:
+   * ```javascript
+   * { steps: [ [backward_steps], [starting_tokens], [forward_steps] ], stopped: { back, forward } }
+   * ```
+   *
+   * When no run passes the limits, the details have `null` steps, the stop
+   * reasons of the last attempt, if any, and a `rejected` property telling
+   * which limit the last attempt failed: `'unknown'` when a required or final
+   * token is unknown to the model, `'length'`, `'banned'`, `'required'`,
+   * `'final'` or `'overlap'`.
+   *
+   * @param {object} [options] Options object
+   * @param {Array<any>} [options.tokens=[]] Starting state tokens
+   * @param {boolean} [options.backSearch=true] Should walk back
+   * @param {boolean} [options.useTokenMap=true] Whether to use token map
+   * @param {boolean} [options.runMissingTokens=true] Whether to answer when tokens are not in model
+   * @param {number|Function} [options.random] Seed or random number generator for this run
+   * @param {number} [options.temperature=1] Sampling temperature, 0 always picks the most common step
+   * @param {number} [options.topK=Infinity] Sample only from the `topK` most common steps
+   * @param {number} [options.topP=1] Sample only from the most common steps within this probability mass
+   * @param {number} [options.minCount=0] Ignore steps seen less than `minCount` times
+   * @param {number} [options.minLength] Minimum number of tokens in the run, 1 when any other limit is given
+   * @param {number} [options.maxLength] Maximum number of tokens in the run
+   * @param {number} [options.maxOverlapRatio] Maximum overlap with the corpus relative to run length, 0.7 when only `maxOverlapTotal` is given
+   * @param {number} [options.maxOverlapTotal] Maximum overlap with the corpus in tokens, 15 when only `maxOverlapRatio` is given
+   * @param {Array<any>} [options.required=[]] Tokens the run must contain
+   * @param {Iterable<any>} [options.banned] Tokens the run must not contain
+   * @param {any} [options.final] Token the run must end with
+   * @param {number} [options.tries=10] Maximum number of attempts to pass the limits
+   * @param {number} [options.maxSteps=Infinity] Maximum number of steps of each walk
+   * @param {string} [options.cycles='allow'] Whether to `'allow'` walks to revisit a state, `'stop'` them or `'redirect'` them to unvisited states
+   * @param {AbortSignal} [options.signal] Signal to stop the walks
+   * @param {number|Date} [options.deadline] Time at which to stop the walks
+   * @param {boolean} [options.details=false] Whether to return the steps along with the reasons the walks stopped
+   * @returns {Array<Array<any>>|object} Array with back root and forward steps, or details, or `null`
+   */
+  run (options = {}) {
+    const attempts = this._runAttempts(options)
+    let next = attempts.next()
+
+    while (!next.done) {
+      next = attempts.next(collect(next.value))
+    }
+
+    return next.value
+  }
+
+  /**
+   * Walks the Markov chain and returns all steps, yielding to the event loop
+   * every `yieldEvery` steps, see `Chain#run`.
+   *
+   * @async
+   * @param {object} [options={}] Options to `Chain#run`
+   * @param {number} [options.yieldEvery=100] Number of steps between pauses
+   * @returns {Promise<Array<Array<any>>|object>} Array with back root and forward steps, or details, or `null`
+   */
+  async runAsync ({ yieldEvery, ...options } = {}) {
+    const attempts = this._runAttempts(options)
+    let next = attempts.next()
+
+    while (!next.done) {
+      next = attempts.next(await collectAsync(next.value, yieldEvery))
+    }
+
+    return next.value
+  }
+
+  /**
+   * Walks the Markov chain until a run passes the limits, see `Chain#run`.
+   *
+   * Walks are yielded to be consumed by the caller, which sends back their
+   * steps and stop reason.
+   *
+   * @private
+   * @param {object} options Options to `Chain#run`
+   * @yield {Iterator<any>} Walk to consume
+   * @returns {Array<Array<any>>|object} Array with back root and forward steps, or details, or `null`
+   */
+  * _runAttempts ({ tokens = [], backSearch = true, useTokenMap = true, runMissingTokens = true, tries = 10, minLength, maxLength, maxOverlapRatio, maxOverlapTotal, required = [], final, details = false, ...rest } = {}) {
+    const { encode } = this.tokenCodec
+    const options = walkOptions(this, rest)
+    const reject = runFilter(this, { minLength, maxLength, maxOverlapRatio, maxOverlapTotal, required, banned: options.banned, final })
+
+    tokens = tokens.map(encode)
+
+    if (!reject) {
+      const result = yield * this._run(tokens, backSearch, useTokenMap, runMissingTokens, options)
+      return details ? result : result.steps
+    }
+
+    const targets = final === undefined ? required : [...required, final]
+    if (targets.some((token) => !knowsToken(this.model, encode(token)))) {
+      return details ? { steps: null, stopped: null, rejected: 'unknown' } : null
+    }
+
+    if (tokens.length === 0) {
+      tokens = required.map(encode)
+    }
+
+    let failure = { steps: null, stopped: null, rejected: null }
+
+    for (let i = 0; i < tries; ++i) {
+      const result = yield * this._run(tokens, backSearch, useTokenMap, runMissingTokens, options)
+      const rejected = reject(result.steps)
+      if (!rejected) {
+        return details ? result : result.steps
+      }
+      failure = { steps: null, stopped: result.stopped, rejected }
+    }
+
+    return details ? failure : null
+  }
+
+  /**
+   * Walks the Markov chain once, see `Chain#run`.
+   *
+   * @private
+   * @param {Array<any>} tokens Starting state tokens, as model keys
+   * @param {boolean} backSearch Should walk back
+   * @param {boolean} useTokenMap Whether to use token map
+   * @param {boolean} runMissingTokens Whether to answer when tokens are not in model
+   * @param {object} options Options for `_walk`
+   * @yield {Iterator<any>} Walk to consume
+   * @returns {object} Array with back root and forward `steps`, and the reasons the walks `stopped`
+   */
+  * _run (tokens, backSearch, useTokenMap, runMissingTokens, options) {
+    const startState = this._genStateFrom(tokens, useTokenMap, options)
+    const stopped = { back: null, forward: null }
+
+    let hasSteps = startState !== this.initialState
+    if (!runMissingTokens && tokens.length > 0 && !hasSteps) {
+      return { steps: [[], [], []], stopped }
+    }
+
+    const forward = yield this._walk(startState, true, options)
+    const forwardSteps = forward.steps
+    stopped.forward = forward.reason
+    hasSteps = hasSteps || forwardSteps.length > 0
+
+    let backSteps = []
+    if (backSearch) {
+      const back = yield this._walk(startState, false, options)
+      backSteps = back.steps.reverse()
+      stopped.back = back.reason
+      hasSteps = hasSteps || backSteps.length > 0
+    }
+
+    const steps = [
+      backSteps,
+      hasSteps ? [...startState].filter((t) => t !== BEGIN).map((t) => this.tokenCodec.decode(t, options.random)) : [],
+      forwardSteps
+    ]
+
+    return { steps, stopped }
+  }
+
+  /**
+   * Scores how likely the chain is to produce a run.
+   *
+   * The run is walked from the initial state up to the END token and each
+   * step is scored by the forward transition counts of the model. Without
+   * smoothing, unseen states and transitions have zero probability and make
+   * the whole run `-Infinity`; additive smoothing spreads `smoothing` counts
+   * over every token known by the model instead.
+   *
+   * The returned object will look like:
+   * ```javascript
+   * { logProb, perplexity, steps: [ { state, token, count, total, probability, logProb }, ...] }
+   * ```
+   *
+   * @param {Array<any>} [tokens=[]] Run to score
+   * @param {object} [options={}] Options object
+   * @param {number} [options.smoothing=0] Additive smoothing count
+   * @returns {object} Natural log-probability, perplexity and scored steps
+   */
+  score (tokens = [], { smoothing = 0 } = {}) {
+    if (!(smoothing >= 0)) {
+      throw new Error('Invalid score smoothing. ' +
+        `Expected \`smoothing >= 0\` but got ${smoothing}.`)
+    }
+
+    const { order, initialState, model } = this
+    const { encode, decode } = this.tokenCodec
+    const items = [...initialState, ...tokens.map(encode), END]
+    const vocabulary = smoothing > 0 ? countVocabulary(model) : 0
+    const scale = countScale(this)
+    const steps = []
+    let logProb = 0
+
+    for (let i = 0; i < tokens.length + 1; ++i) {
+      const state = tuple(...items.slice(i, i + 1 + order))
+      const token = items[i + 1 + order]
+      const stateArr = model.get(state)
+
+      let count = 0
+      let total = 0
+
+      if (stateArr) {
+        count = (stateArr[0].get(token) || 0) / scale
+        for (const weight of stateArr[0].values()) total += weight / scale
+      }
+
+      const probability = smoothing > 0
+        ? (count + smoothing) / (total + smoothing * vocabulary)
+        : (total > 0 ? count / total : 0)
+
+      steps.push({ state: [...state].map((t) => decode(t)), token: decode(token), count, total, probability, logProb: Math.log(probability) })
+      logProb += Math.log(probability)
+    }
+
+    return {
+      logProb,
+      perplexity: Math.exp(-logProb / steps.length),
+      steps
+    }
+  }
+
+  /**
+   * Serialises the chain into a JSONable object.
+   *
+   * The returned object starts with a header of the format version, the
+   * chain's order, whether it maps tokens to states and statistics of its
+   * model, then a dictionary of tokens referred to by index everywhere else:
+   * ```javascript
+   * { version, order, tokenMap, stats: { states, transitions, tokens },
+   *   tokens: [token, ...],
+   *   states: [ [ [state], [ [ [next, count], ...], [ [prev, count], ...] ] ], ...] }
+   * ```
+   *
+   * Chains that keep their corpus also have a `runs` array.
+   *
+   * @returns {object} JSON object
+   * @see {@link https://mdn.io/stringify#toJSON()_behavior}
+   */
+  toJSON () {
+    return format.encode(this)
+  }
+
+  /**
+   * Serialises the chain into newline-delimited JSON, one state per line,
+   * so that large chains can be written to streams.
+   *
+   * @example
+   * Readable.from(chain.toLines()).pipe(fs.createWriteStream('chain.ndjson'))
+   *
+   * @yield {string} Line of JSON, ending with a newline
+   */
+  * toLines () {
+    yield * format.encodeLines(this)
+  }
+
+  /**
+   * Creates a Chain from a JSON string.
+   *
+   * Chains serialised by earlier versions, as arrays of states, are read as
+   * well. Invalid input is rejected with the location of the first error.
+   *
+   * @static
+   * @param {string|object} jsonChain A chain serialised with `Chain#toJSON`, as a string or parsed
+   * @param {object} [options] Additional options to Chain constructor
+   * @returns {Chain} A new chain instance
+   */
+  static fromJSON (jsonChain, options) {
+    return restore(format.decode(jsonChain), options)
+  }
+
+  /**
+   * Creates a Chain from newline-delimited JSON.
+   *
+   * @static
+   * @param {AsyncIterable<string|Buffer>|Iterable<string|Buffer>} source Lines written by `Chain#toLines`
+   * @param {object} [options] Additional options to Chain constructor
+   * @returns {Promise<Chain>} A new chain instance
+   */
+  static async fromLines (source, options) {
+    return restore(await format.decodeLines(source), options)
+  }
+
+  /**
+   * Serialises the count deltas of a fork, to be applied to its parent with
+   * `Chain.fromDeltaJSON`. Forks are serialised whole, flattened, by
+   * `Chain#toJSON`.
+   *
+   * The format is the one of `Chain#toJSON`, flagged with `deltas` in the
+   * header. Counts are the changes to the parent's, and states removed from
+   * the fork have no transitions.
+   *
+   * @returns {object} JSON object
+   */
+  toDeltaJSON () {
+    if (!this.parent) {
+      throw new Error('Invalid Markov chain operation. ' +
+        'Expected a fork but got a chain without parent.')
+    }
+
+    return format.encodeDeltas(this)
+  }
+
+  /**
+   * Forks a chain and applies count deltas to the fork.
+   *
+   * @static
+   * @param {string|object} jsonDeltas Deltas serialised with `Chain#toDeltaJSON`, as a string or parsed
+   * @param {Chain} parent Chain the deltas apply to
+   * @returns {Chain} A new fork of the parent
+   */
+  static fromDeltaJSON (jsonDeltas, parent) {
+    const { model, runs, values, forms, deltas, order, decay } = format.decode(jsonDeltas)
+
+    if (!deltas) {
+      throw new Error('Invalid Markov chain JSON. ' +
+        'Expected the deltas of a fork but got a whole chain.')
+    }
+
+    if (order !== parent.order) {
+      throw new Error('Inconsistent Markov chain order. ' +
+        `Expected ${parent.order} but got ${order}.`)
+    }
+
+    const fork = parent.fork()
+    const { tokenMap, models, tokenCodec } = fork
+
+    for (const [state, changes] of model) {
+      fork.model.apply(state, changes)
+
+      if (!tokenMap) continue
+
+      for (const token of state) {
+        if (fork.model.has(state)) {
+          if (!tokenMap.has(token)) tokenMap.set(token, new Set())
+          tokenMap.get(token).add(state)
+        } else if (tokenMap.has(token)) {
+          const entry = tokenMap.get(token)
+          entry.delete(state)
+          if (entry.size === 0) tokenMap.delete(token)
+        }
+      }
+    }
+
+    // lower orders are summed up from the fork's model, whose deltas alone
+    // do not tell which contexts changed
+    if (models) {
+      models.slice(0, order).forEach((lowerModel) => lowerModel.clear())
+      fillBackoffModels(models, fork.model, order)
+    }
+
+    for (const [key, value] of values) {
+      tokenCodec.values.set(key, value)
+    }
+
+    for (const [key, surfaces] of forms) {
+      tokenCodec.forms.set(key, surfaces)
+    }
+
+    if (runs) {
+      internal(fork).corpus = new Corpus(runs)
+    }
+
+    if (decay) {
+      internal(fork).decay = checkDecay(decay)
+    }
+
+    return fork
+  }
+}
+
+/**
+ * Creates a chain from a deserialised model.
+ * @param {object} decoded Result of `format.decode`
+ * @param {object} [options] Additional options to Chain constructor
+ * @returns {Chain} A new chain instance
+ */
+function restore ({ model, runs, values, forms, deltas, ...header }, options) {
+  if (deltas) {
+    throw new Error('Invalid Markov chain JSON. ' +
+      'Expected a whole chain but got the deltas of a fork, see Chain.fromDeltaJSON.')
+  }
+
+  const chain = new Chain({ ...header, ...options, model })
+
+  for (const [key, value] of values) {
+    chain.tokenCodec.values.set(key, value)
+  }
+
+  for (const [key, surfaces] of forms) {
+    chain.tokenCodec.forms.set(key, surfaces)
+  }
+
+  if (runs) {
+    internal(chain).corpus = new Corpus(runs)
+  }
+
+  return chain
+}
+
+/**
+ * Creates a chain with the options of another, and an empty model.
+ * @param {Chain} chain Chain whose options to use
+ * @returns {Chain} A new chain instance
+ */
+function emptyChain (chain) {
+  return new Chain({
+    ...internal(chain).codecOptions,
+    order: chain.order,
+    random: chain.random.state === undefined ? chain.random : 0,
+    limits: chain.limits,
+    variableOrder: Boolean(chain.models),
+    backoffWeights: chain.backoffWeights
+  })
+}
+
+/**
+ * Gets the mutable state of a chain, without copying it.
+ * @param {Chain} chain Chain to read
+ * @returns {object} Models, token map, token values and forms, corpus, clock and random generator state
+ */
+function stateOf ({ model, models, tokenMap, tokenCodec, corpus, decay, random }) {
+  return {
+    model,
+    models,
+    tokenMap,
+    values: tokenCodec.values,
+    forms: tokenCodec.forms,
+    corpus,
+    decay,
+    randomState: random.state
+  }
+}
+
+/**
+ * Copies the mutable state of a chain.
+ * @param {object} state Result of `stateOf`
+ * @param {object} [options={}] Options object
+ * @param {boolean} [options.flatten=false] Whether to copy the models of forks whole, instead of their deltas
+ * @returns {object} Independent copy
+ */
+function copyState ({ model, models, tokenMap, values, forms, corpus, decay, randomState }, { flatten = false } = {}) {
+  const modelCopy = copyModel(model, flatten)
+
+  return {
+    model: modelCopy,
+    models: models && models.map((lower) => lower === model ? modelCopy : copyModel(lower, flatten)),
+    tokenMap: tokenMap && (!flatten && tokenMap instanceof ForkTokenMap
+      ? tokenMap.copy()
+      : new Map([...tokenMap].map(([token, states]) => [token, new Set(states)]))),
+    values: new Map(values),
+    forms: copyForms(forms),
+    corpus: corpus && new Corpus(corpus),
+    decay: decay && { ...decay },
+    randomState
+  }
+}
+
+/**
+ * Replaces the mutable state of a chain.
+ * @param {Chain} chain Chain to update
+ * @param {object} state Result of `copyState`
+ */
+function setState (chain, { model, models, tokenMap, values, forms, corpus, decay, randomState }) {
+  Object.assign(internal(chain), { model, models, tokenMap, corpus, decay })
+
+  const { tokenCodec, random } = chain
+  tokenCodec.values.clear()
+  tokenCodec.forms.clear()
+
+  for (const [key, value] of values) {
+    tokenCodec.values.set(key, value)
+  }
+
+  for (const [key, surfaces] of forms) {
+    tokenCodec.forms.set(key, surfaces)
+  }
+
+  if (randomState !== undefined && random.state !== undefined) {
+    random.state = randomState
+  }
+}
+
+/**
+ * Copies a model.
+ * @param {Map<Tuple<any>,any>} model Markov chain model
+ * @param {boolean} flatten Whether to copy forks whole, instead of their deltas
+ * @returns {Map<Tuple<any>,any>} Independent copy
+ */
+function copyModel (model, flatten) {
+  if (!flatten && model instanceof ForkModel) {
+    return model.copy()
+  }
+
+  const copy = stateSpace()
+  for (const [state, stateMaps] of model) {
+    copy.set(state, stateMaps.map((weights) => weightMap(new Map(weights))))
+  }
+  return copy
+}
+
+/**
+ * Copies the surface forms of a token codec.
+ * @param {Map<any,Map<string,number>>} forms Surface forms and counts of each key
+ * @returns {Map<any,Map<string,number>>} Independent copy
+ */
+function copyForms (forms) {
+  return new Map([...forms].map(([key, surfaces]) => [key, new Map(surfaces)]))
+}
+
+/**
+ * Moves a state by one step.
+ * @param {Tuple<any>} state Current state
+ * @param {any} step Next (or previous) token
+ * @param {boolean} forward Movement direction
+ * @param {number} size Size of the chain's states
+ * @returns {Tuple<any>} New state
+ */
+function moveState (state, step, forward, size) {
+  return forward
+    ? tuple(...state, step).slice(-size)
+    : tuple(step, ...state).slice(0, size)
+}
+
+/**
+ * Consumes a walk.
+ * @param {Iterator<any>} walk Walk generator
+ * @returns {{steps: Array<any>, reason: string}} Steps and the reason the walk stopped
+ */
+function collect (walk) {
+  const steps = []
+  let next = walk.next()
+
+  while (!next.done) {
+    steps.push(next.value)
+    next = walk.next()
+  }
+
+  return { steps, reason: next.value }
+}
+
+/**
+ * Consumes a walk, yielding to the event loop every `yieldEvery` steps.
+ * @param {Iterator<any>} walk Walk generator
+ * @param {number} [yieldEvery] Number of steps between pauses
+ * @returns {Promise<object>} Steps and the reason the walk stopped
+ */
+async function collectAsync (walk, yieldEvery) {
+  const steps = []
+  const paused = pausing(walk, yieldEvery)
+  let next = await paused.next()
+
+  while (!next.done) {
+    steps.push(next.value)
+    next = await paused.next()
+  }
+
+  return { steps, reason: next.value }
+}
+
+/**
+ * Turns a walk into an async walk, yielding to the event loop every
+ * `yieldEvery` steps.
+ * @param {Iterator<any>} walk Walk generator
+ * @param {number} [yieldEvery=100] Number of steps between pauses
+ * @yield {any} Next step of the walk
+ * @returns {Promise<string>} Reason the walk stopped
+ */
+async function * pausing (walk, yieldEvery = 100) {
+  if (!(Number.isInteger(yieldEvery) && yieldEvery > 0)) {
+    throw new Error('Invalid Markov chain walk pause. ' +
+      `Expected integer \`yieldEvery > 0\` but got ${yieldEvery}.`)
+  }
+
+  let count = 0
+  let next = walk.next()
+
+  while (!next.done) {
+    yield next.value
+
+    if (++count % yieldEvery === 0) {
+      await new Promise((resolve) => setImmediate(resolve))
+    }
+
+    next = walk.next()
+  }
+
+  return next.value
+}
+
+/**
+ * Searches the most likely walks from a state.
+ * @param {Chain} chain Chain to search
+ * @param {Tuple<any>} start Starting state
+ * @param {boolean} forward Movement direction
+ * @param {object} options Options object
+ * @param {number} options.beamWidth Number of partial walks kept at each step
+ * @param {number} options.maxLength Maximum number of steps
+ * @returns {Array<object>} Walks reaching a stop token, with their log-probability
+ */
+function beamSearch (chain, start, forward, { beamWidth, maxLength }) {
+  const stopToken = forward ? END : BEGIN
+  const size = chain.order + 1
+  const completed = []
+  let beam = [{ state: start, steps: [], logProb: 0 }]
+
+  for (let depth = 0; depth <= maxLength && beam.length > 0; ++depth) {
+    const candidates = []
+
+    for (const { state, steps, logProb } of beam) {
+      const weights = chain._stepWeights(state, forward)
+
+      // dead ends never reach the stop token
+      if (!weights) {
+        continue
+      }
+
+      const total = [...weights.values()].reduce((a, b) => a + b, 0)
+
+      for (const [token, count] of weights) {
+        const stepLogProb = logProb + Math.log(count / total)
+
+        if (token === stopToken) {
+          completed.push({ steps, logProb: stepLogProb })
+        } else if (depth < maxLength) {
+          candidates.push({
+            state: moveState(state, token, forward, size),
+            steps: [...steps, chain.tokenCodec.decode(token)],
+            logProb: stepLogProb
+          })
+        }
+      }
+    }
+
+    beam = candidates
+      .sort((a, b) => b.logProb - a.logProb)
+      .slice(0, beamWidth)
+  }
+
+  return completed.sort((a, b) => b.logProb - a.logProb)
+}
+
+/**
+ * Finds the states a bridge can start from.
+ * @param {Chain} chain Chain to search
+ * @param {Array<any>} keys Encoded tokens before the bridge
+ * @returns {Array<Tuple<any>>} Known states ending with the tokens
+ */
+function bridgeSources (chain, keys) {
+  const { model, initialState } = chain
+
+  if (keys.length === 0) {
+    return model.has(initialState) ? [initialState] : []
+  }
+
+  const size = chain.order + 1
+  const suffix = keys.slice(-size)
+  const offset = size - suffix.length
+
+  return [...model.keys()].filter((state) => suffix.every((key, i) => state[offset + i] === key))
+}
+
+/**
+ * Finds the states a bridge can end at.
+ * @param {Chain} chain Chain to search
+ * @param {Array<any>} keys Encoded tokens after the bridge
+ * @returns {Array<Tuple<any>>} Known states able to step through the tokens
+ */
+function bridgeTargets (chain, keys) {
+  const { model } = chain
+  const size = chain.order + 1
+  const prefix = keys.slice(0, size)
+
+  return [...model.keys()].filter((state) => prefix.every((key) => {
+    const entry = model.get(state)
+    if (!entry || !entry[0].has(key)) return false
+    state = moveState(state, key, true, size)
+    return true
+  }))
+}
+
+/**
+ * Searches the shortest steps between two sets of states, expanding the
+ * smaller frontier forward or backward until both searches meet.
+ * @param {Chain} chain Chain to search
+ * @param {Array<Tuple<any>>} sources States to start from
+ * @param {Array<Tuple<any>>} targets States to end at
+ * @param {object} options Options object
+ * @param {number} options.maxLength Maximum number of steps
+ * @param {Function} options.random Random number generator breaking ties
+ * @returns {Array<any>} Steps from a source to a target, or `null`
+ */
+function bridgeSearch (chain, sources, targets, { maxLength, random }) {
+  const { model } = chain
+  const size = chain.order + 1
+  // state -> [neighbour state, token], towards the sources or the targets
+  const reached = [new Map(), new Map()]
+  const frontiers = [shuffle([...sources], random), shuffle([...targets], random)]
+
+  sources.forEach((state) => reached[0].set(state, null))
+  targets.forEach((state) => reached[1].set(state, null))
+
+  const path = (state) => {
+    const steps = []
+    for (let link = reached[0].get(state); link; link = reached[0].get(link[0])) {
+      steps.unshift(link[1])
+    }
+    for (let link = reached[1].get(state); link; link = reached[1].get(link[0])) {
+      steps.push(link[1])
+    }
+    return steps
+  }
+
+  const met = sources.find((state) => reached[1].has(state))
+  if (met) {
+    return path(met)
+  }
+
+  for (let length = 1; length <= maxLength; ++length) {
+    const side = frontiers[0].length <= frontiers[1].length ? 0 : 1
+    const forward = side === 0
+    const next = []
+
+    for (const state of frontiers[side]) {
+      const tokens = shuffle([...model.get(state)[forward ? 0 : 1].keys()], random)
+
+      for (const token of tokens) {
+        const neighbour = moveState(state, token, forward, size)
+
+        if (!model.has(neighbour) || reached[side].has(neighbour)) {
+          continue
+        }
+
+        reached[side].set(neighbour, [state, forward ? token : state[size - 1]])
+        next.push(neighbour)
+
+        if (reached[1 - side].has(neighbour)) {
+          return path(neighbour)
+        }
+      }
+    }
+
+    if (next.length === 0) {
+      return null
+    }
+
+    frontiers[side] = next
+  }
+
+  return null
+}
+
+/**
+ * Resolves the public walk options of a chain.
+ * @param {Chain} chain Chain being walked
+ * @param {object} [options={}] Walk options
+ * @param {number|Function} [options.random] Seed or random number generator
+ * @param {number} [options.temperature] Sampling temperature
+ * @param {number} [options.topK] Number of most common steps to sample from
+ * @param {number} [options.topP] Probability mass to sample from
+ * @param {number} [options.minCount] Minimum count of a step
+ * @param {Iterable<any>} [options.banned] Tokens never to step to
+ * @param {number} [options.maxSteps] Maximum number of steps of a walk
+ * @param {string} [options.cycles] Handling of walks revisiting a state
+ * @param {AbortSignal} [options.signal] Signal to stop walks
+ * @param {number|Date} [options.deadline] Time at which to stop walks
+ * @returns {object} Options for `_step`
+ */
+function walkOptions (chain, { random, temperature, topK, topP, minCount, banned, maxSteps, cycles, signal, deadline } = {}) {
+  const options = { random: resolveRandom(random, chain.random) }
+
+  if (banned) {
+    options.banned = new Set([...banned].map(chain.tokenCodec.encode))
+  }
+
+  if (temperature !== undefined && !(temperature >= 0)) {
+    throw new Error('Invalid sampling temperature. ' +
+      `Expected \`temperature >= 0\` but got ${temperature}.`)
+  }
+
+  if (topK !== undefined && !(Number.isInteger(topK) && topK > 0)) {
+    throw new Error('Invalid sampling cutoff. ' +
+      `Expected integer \`topK > 0\` but got ${topK}.`)
+  }
+
+  if (topP !== undefined && !(topP > 0 && topP <= 1)) {
+    throw new Error('Invalid sampling cutoff. ' +
+      `Expected \`0 < topP <= 1\` but got ${topP}.`)
+  }
+
+  if (maxSteps !== undefined && !(maxSteps >= 0 && (Number.isInteger(maxSteps) || maxSteps === Infinity))) {
+    throw new Error('Invalid Markov chain walk limit. ' +
+      `Expected integer \`maxSteps >= 0\` but got ${maxSteps}.`)
+  }
+
+  if (cycles !== undefined && !['allow', 'stop', 'redirect'].includes(cycles)) {
+    throw new Error('Invalid Markov chain walk limit. ' +
+      `Expected \`cycles\` to be 'allow', 'stop' or 'redirect' but got ${cycles}.`)
+  }
+
+  if (deadline !== undefined && !isFinite(deadline)) {
+    throw new Error('Invalid Markov chain walk limit. ' +
+      `Expected a \`deadline\` date or time but got ${deadline}.`)
+  }
+
+  for (const [name, value] of Object.entries({ maxSteps, cycles, signal })) {
+    if (value !== undefined) options[name] = value
+  }
+
+  if (deadline !== undefined) {
+    options.deadline = Number(deadline)
+  }
+
+  if ([temperature, topK, topP, minCount].some((v) => v !== undefined)) {
+    options.sampling = {
+      temperature,
+      topK,
+      topP,
+      minCount: minCount === undefined ? undefined : minCount * countScale(chain)
+    }
+  }
+
+  return options
+}
+
+/**
+ * Creates a test for the length, overlap and token limits of runs.
+ *
+ * The test returns the name of the first limit a run fails, see `Chain#run`,
+ * or `undefined` when the run passes them all.
+ *
+ * @param {Chain} chain Chain being run
+ * @param {object} limits Length, overlap and token limits
+ * @param {number} [limits.minLength] Minimum number of tokens, 1 when any other limit is given
+ * @param {number} [limits.maxLength] Maximum number of tokens
+ * @param {number} [limits.maxOverlapRatio] Maximum overlap relative to run length
+ * @param {number} [limits.maxOverlapTotal] Maximum overlap in tokens
+ * @param {Array<any>} [limits.required=[]] Tokens to contain
+ * @param {Set<any>} [limits.banned] Encoded tokens not to contain
+ * @param {any} [limits.final] Token to end with
+ * @returns {Function} Test for run steps, if any limit is given
+ */
+function runFilter (chain, { minLength, maxLength, maxOverlapRatio, maxOverlapTotal, required = [], banned, final }) {
+  const testOverlap = maxOverlapRatio !== undefined || maxOverlapTotal !== undefined
+  const testTokens = required.length > 0 || banned !== undefined || final !== undefined
+
+  if (minLength === undefined && maxLength === undefined && !testOverlap && !testTokens) {
+    return undefined
+  }
+
+  if (testOverlap && !chain.corpus) {
+    throw new Error('Missing Markov chain corpus. ' +
+      'Expected a chain created with `keepCorpus` to test overlap limits.')
+  }
+
+  if (minLength === undefined) {
+    minLength = 1
+  }
+
+  return function reject (steps) {
+    const run = [].concat(...steps)
+
+    if (run.length < minLength || run.length > maxLength) {
+      return 'length'
+    }
+
+    if (testTokens) {
+      const { encode } = chain.tokenCodec
+      const keys = run.map(encode)
+
+      if (banned && keys.some((key) => banned.has(key))) {
+        return 'banned'
+      }
+
+      if (!required.every((token) => keys.includes(encode(token)))) {
+        return 'required'
+      }
+
+      if (final !== undefined && keys[keys.length - 1] !== encode(final)) {
+        return 'final'
+      }
+    }
+
+    if (testOverlap && chain.corpus.overlaps(run, { maxOverlapRatio, maxOverlapTotal })) {
+      return 'overlap'
+    }
+  }
+}
+
+/**
+ * Tests whether any state of a model can step to a token.
+ * @param {Map<Tuple<any>,any>} model Markov chain model
+ * @param {any} token
+ * @returns {boolean}
+ */
+function knowsToken (model, token) {
+  for (const [next] of model.values()) {
+    if (next.has(token)) return true
+  }
+  return false
+}
 
 /**
  * Builds a Markov chain model.
@@ -421,9 +2062,10 @@ function parseTokenString (string) {
  * @param {object} [options={}] Options object
  * @param {number} [options.order] Order of chain
  * @param {Tuple<any>} [options.initialState] Initial state of the chain
+ * @param {object} [options.tokenCodec] Encoder of tokens into model keys
  * @returns {Map<Tuple<any>,any>} Markov chain model
  */
-function buildModel (corpus, { order, initialState } = {}) {
+function buildModel (corpus, { order, initialState, tokenCodec } = {}) {
   const model = stateSpace()
 
   if (order < 0) {
@@ -436,117 +2078,539 @@ function buildModel (corpus, { order, initialState } = {}) {
   }
 
   for (const run of corpus) {
-    Chain.seed(run, { model, initialState, order })
+    Chain.seed(run, { model, initialState, order, tokenCodec })
   }
 
   return model
 }
 
 /**
- * Builds a Map of token to states.
- * @param {Map<Tuple<any>,any>} model Markov chain model
- * @returns {Map<any,Tuple<any>>} Token map
+ * Validates and fills in the defaults of pruning limits.
+ * @param {object} [limits={}] Size limits
+ * @returns {object} Complete size limits
  */
-function buildTokenMap (model) {
-  const tokenMap = new Map()
+function checkLimits ({ minCount = 0, maxStates = Infinity, maxTransitionsPerState = Infinity } = {}) {
+  for (const [name, value] of Object.entries({ maxStates, maxTransitionsPerState })) {
+    if (!(value >= 1)) {
+      throw new Error('Invalid Markov chain limit. ' +
+        `Expected \`${name} >= 1\` but got ${value}.`)
+    }
+  }
 
-  for (const state of model.keys()) {
-    for (const token of state) {
-      if (!tokenMap.has(token)) {
-        tokenMap.set(token, new Set())
+  return { minCount, maxStates, maxTransitionsPerState }
+}
+
+/**
+ * Validates and fills in the defaults of a decay clock.
+ * @param {object} decay Decay options
+ * @returns {object} A new decay clock
+ */
+function checkDecay ({ halfLife, clock = 0, epoch = clock }) {
+  if (!(halfLife > 0 && isFinite(halfLife))) {
+    throw new Error('Invalid Markov chain decay. ' +
+      `Expected a positive half-life but got ${halfLife}.`)
+  }
+
+  if (!isFinite(clock) || !isFinite(epoch)) {
+    throw new Error('Invalid Markov chain clock. ' +
+      `Expected finite times but got ${clock} and ${epoch}.`)
+  }
+
+  return { halfLife, clock, epoch }
+}
+
+/**
+ * Gets the count added to each transition of a seeded run.
+ * @param {number} weight Weight of the run
+ * @param {number} [time] Logical time of the run
+ * @param {object} [decay] Decay clock
+ * @returns {number} Count, inflated to the epoch of decaying chains
+ */
+function seedAmount (weight, time, decay) {
+  if (!(weight > 0 && isFinite(weight))) {
+    throw new Error('Invalid Markov chain weight. ' +
+      `Expected a positive weight but got ${weight}.`)
+  }
+
+  if (!decay) {
+    return weight
+  }
+
+  if (!isFinite(time)) {
+    throw new Error('Invalid Markov chain clock. ' +
+      `Expected a finite time but got ${time}.`)
+  }
+
+  return weight * Math.pow(2, (time - decay.epoch) / decay.halfLife)
+}
+
+/**
+ * Rescales every count to the clock once they are inflated too much.
+ * @param {object} chain Chain object
+ * @param {Map<Tuple<any>,any>} chain.model Model to rescale
+ * @param {Array<Map<Tuple<any>,any>>} [chain.models] Models of every order, including `model`
+ * @param {object} [chain.decay] Decay clock
+ */
+function rescaleCounts ({ model, models = [model], decay }) {
+  if (!decay || (decay.clock - decay.epoch) / decay.halfLife <= MAX_INFLATION) {
+    return
+  }
+
+  const scale = 1 / countScale({ decay })
+  for (const m of models) {
+    for (const stateMaps of m.values()) {
+      for (const weights of stateMaps) {
+        for (const [token, count] of weights) weights.set(token, count * scale)
       }
-      const entry = tokenMap.get(token)
-      entry.add(state)
     }
   }
 
-  return tokenMap
+  decay.epoch = decay.clock
+}
+
+/**
+ * Checks whether a count is enough to remove another count from it.
+ * @param {number} [count=0] Available count
+ * @param {number} removed Count to remove
+ * @returns {boolean} Whether the count covers the removed one, up to rounding errors
+ */
+function covers (count = 0, removed) {
+  return count >= removed * (1 - COUNT_TOLERANCE)
+}
+
+/**
+ * Prunes a model in place, keeping it walkable.
+ * @param {object} chain Chain object
+ * @param {Map<Tuple<any>,any>} chain.model Model to prune
+ * @param {Tuple<any>} chain.initialState Starting tuple, never dropped for size
+ * @param {Map<any,Tuple<any>>} [chain.tokenMap] Map of token to states
+ * @param {number} [chain.order] Order of chain, needed with lower order models
+ * @param {Array<Map<Tuple<any>,any>>} [chain.models] Lower order models to rebuild
+ * @param {object} [chain.decay] Logical clock of fading seeds
+ * @param {object} limits Complete size limits
+ * @returns {number} Number of removed states
+ */
+function pruneModel ({ model, tokenMap, initialState, order, models, decay }, { minCount, maxStates, maxTransitionsPerState }) {
+  const size = model.size
+  const threshold = minCount * countScale({ decay })
+
+  limitTransitions(model, [...model.keys()], { threshold, maxTransitionsPerState, order })
+
+  if (model.size > maxStates) {
+    const ranked = [...model]
+      .filter(([state]) => state !== initialState)
+      .map(([state, [next]]) => [state, [...next.values()].reduce((a, b) => a + b, 0)])
+      .sort(([, a], [, b]) => a - b)
+
+    for (const [state] of ranked.slice(0, model.size - maxStates)) {
+      model.delete(state)
+    }
+  }
+
+  let removed
+  do {
+    removed = removeDanglingTransitions(model) + removeStrandedStates(model)
+  } while (removed > 0)
+
+  if (tokenMap) {
+    tokenMap.clear()
+    fillTokenMap(tokenMap, model)
+  }
+
+  if (models) {
+    models.slice(0, order).forEach((lowerModel) => lowerModel.clear())
+    fillBackoffModels(models, model, order)
+  }
+
+  return size - model.size
 }
 
-const util = require('util')
-const inspect = Symbol.for('nodejs.util.inspect.custom')
+/**
+ * Prunes the states touched by a seed, so that seeding a chain at its
+ * limits costs as much as the seed itself.
+ *
+ * The transitions of the touched states are limited as by `pruneModel`, and
+ * the least visited of them are dropped while there are more than
+ * `maxStates` states. States that can no longer reach an END or a BEGIN,
+ * such as states left without transitions or loops cut off from the rest of
+ * the model, are dropped in turn, along with their neighbours when they are
+ * stranded as well. The token map and lower order models are updated along.
+ *
+ * @param {object} chain Chain object, see `pruneModel`
+ * @param {object} limits Complete size limits
+ * @param {Iterable<Tuple<any>>} touched States updated by the seed
+ */
+function pruneTouched ({ model, tokenMap, initialState, order, models, decay }, { minCount, maxStates, maxTransitionsPerState }, touched) {
+  const threshold = minCount * countScale({ decay })
+  const states = [...touched].filter((state) => model.has(state))
+  const affected = limitTransitions(model, states, { threshold, maxTransitionsPerState, order, models })
+
+  if (model.size > maxStates) {
+    const ranked = states
+      .filter((state) => state !== initialState && model.has(state))
+      .map((state) => [state, [...model.get(state)[0].values()].reduce((a, b) => a + b, 0)])
+      .sort(([, a], [, b]) => a - b)
+
+    for (const [state] of ranked.slice(0, model.size - maxStates)) {
+      removeState(model, state, { order, models, tokenMap }).forEach((neighbour) => affected.add(neighbour))
+    }
+  }
+
+  // drops the stranded states, and then their stranded neighbours
+  const queue = [...affected]
+  while (queue.length > 0) {
+    const state = queue.pop()
+    if (!model.has(state)) continue
+
+    for (const stranded of strandedStates(model, state, order)) {
+      if (model.has(stranded)) {
+        queue.push(...removeState(model, stranded, { order, models, tokenMap }))
+      }
+    }
+  }
+}
 
 /**
- * Creates a proxy map handler.
- * @param {Function} keyFn Function to make keys
- * @returns {object} Proxy handler
+ * Finds the states stranded along with a state that cannot reach an END, or
+ * a BEGIN backwards: every state it reaches is stranded as well.
+ * @param {Map<Tuple<any>,any>} model Markov chain model
+ * @param {Tuple<any>} state State to check
+ * @param {number} order Order of chain
+ * @returns {Array<Tuple<any>>} Stranded states, none when the state reaches both stop tokens
  */
-function mapHandler (keyFn) {
-  const ops = ['set', 'get', 'has']
+function strandedStates (model, state, order) {
+  for (const [index, stopToken] of [[0, END], [1, BEGIN]]) {
+    const reached = new Set([state])
+    const queue = [state]
+    let stops = false
+
+    while (queue.length > 0 && !stops) {
+      const current = queue.pop()
+
+      for (const token of model.get(current)[index].keys()) {
+        if (token === stopToken) {
+          stops = true
+          break
+        }
 
-  const handler = {
-    get (target, propertyKey) {
-      let property = Reflect.get(target, propertyKey)
-      if (typeof property === 'function') {
-        if (ops.includes(propertyKey)) {
-          property = trap.bind(target, property)
-        } else {
-          property = property.bind(target)
+        const target = moveState(current, token, index === 0, order + 1)
+        if (model.has(target) && !reached.has(target)) {
+          reached.add(target)
+          queue.push(target)
         }
-      } else if (propertyKey === inspect) {
-        property = inspectUtil.bind(target)
       }
-      return property
+    }
+
+    if (!stops) {
+      return [...reached]
     }
   }
 
-  /**
-   * Trap for map get, set and has.
-   */
-  function trap (operation, ...args) {
-    args[0] = keyFn(args[0])
-    return Reflect.apply(operation, this, args)
+  return []
+}
+
+/**
+ * Keeps the most common transitions of states, both ways.
+ *
+ * A transition is counted in the next weights of its state and in the
+ * previous weights of the state it leads to: dropping it from either side
+ * drops it from the other, so that forward and backward walks agree.
+ *
+ * @param {Map<Tuple<any>,any>} model Markov chain model
+ * @param {Array<Tuple<any>>} states States whose transitions to limit
+ * @param {object} options Options object
+ * @param {number} options.threshold Minimum count of a transition
+ * @param {number} options.maxTransitionsPerState Maximum transitions per direction of a state
+ * @param {number} options.order Order of chain
+ * @param {Array<Map<Tuple<any>,any>>} [options.models] Lower order models to update
+ * @returns {Set<Tuple<any>>} States that lost transitions
+ */
+function limitTransitions (model, states, { threshold, maxTransitionsPerState, order, models }) {
+  const affected = new Set()
+
+  for (const state of states) {
+    for (const index of [0, 1]) {
+      const stateMaps = model.get(state)
+      if (!stateMaps) continue
+
+      const weights = stateMaps[index]
+      const keep = new Set([...weights]
+        .filter(([, count]) => count >= threshold)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, maxTransitionsPerState)
+        .map(([token]) => token))
+
+      if (keep.size === weights.size) continue
+
+      for (const token of [...weights.keys()]) {
+        if (!keep.has(token)) {
+          dropTransition(model, state, index, token, { order, models }).forEach((other) => affected.add(other))
+        }
+      }
+    }
   }
-  /**
-   * Node utility.
-   */
-  function inspectUtil () {
-    return util.inspect(this, false, null)
+
+  return affected
+}
+
+/**
+ * Drops a transition from both of the states it is counted in.
+ * @param {Map<Tuple<any>,any>} model Markov chain model
+ * @param {Tuple<any>} state State whose weights hold the transition
+ * @param {number} index 0 for a next token, 1 for a previous one
+ * @param {any} token Next or previous token
+ * @param {object} options Options object
+ * @param {number} options.order Order of chain
+ * @param {Array<Map<Tuple<any>,any>>} [options.models] Lower order models to update
+ * @returns {Array<Tuple<any>>} States that lost the transition
+ */
+function dropTransition (model, state, index, token, { order, models }) {
+  const forward = index === 0
+  const other = moveState(state, token, forward, order + 1)
+  const otherMaps = model.get(other)
+  const source = forward ? state : other
+  const next = forward ? token : state[state.length - 1]
+  const count = model.get(state)[index].get(token)
+
+  model.get(state)[index].delete(token)
+
+  // the other side is the state moved to, keyed by the token moved away from
+  const otherToken = forward ? state[0] : state[state.length - 1]
+  const paired = Boolean(otherMaps) && otherMaps[1 - index].has(otherToken)
+  if (paired) {
+    otherMaps[1 - index].delete(otherToken)
   }
 
-  return handler
+  if (models && (forward || paired)) {
+    subtractBackoff(models, order, source, next, count)
+  }
+
+  return paired ? [state, other] : [state]
 }
 
 /**
- * Proxy for a state space Map.
- * @param {Map<Tuple<any>,any>} [map=new Map()] Regular Map
- * @returns {Proxy}
+ * Drops a state, its transitions and their counterparts in other states.
+ * @param {Map<Tuple<any>,any>} model Markov chain model
+ * @param {Tuple<any>} state State to drop
+ * @param {object} options Options object
+ * @param {number} options.order Order of chain
+ * @param {Array<Map<Tuple<any>,any>>} [options.models] Lower order models to update
+ * @param {Map<any,Tuple<any>>} [options.tokenMap] Map of token to states
+ * @returns {Array<Tuple<any>>} Neighbouring states that lost transitions
  */
-function stateSpace (map = new Map()) {
-  return new Proxy(map, mapHandler(function (key) {
-    if (!tuple.isTuple(key)) {
-      throw new Error('Invalid Markov chain state. ' +
-      `Expected tuple but got ${typeof key} (${key || key.toString()}).`)
+function removeState (model, state, { order, models, tokenMap }) {
+  const neighbours = []
+
+  model.get(state).forEach((weights, index) => {
+    for (const token of [...weights.keys()]) {
+      const [, other] = dropTransition(model, state, index, token, { order, models })
+      if (other && other !== state) neighbours.push(other)
     }
-    return key.map((v) => {
-      if (typeof v === 'object') v = makeObjectToken(v)
-      return v
-    })
-  }))
+  })
+
+  model.delete(state)
+
+  if (tokenMap) {
+    for (const token of state) {
+      const entry = tokenMap.get(token)
+      if (!entry) continue
+      entry.delete(state)
+      if (entry.size === 0) {
+        tokenMap.delete(token)
+      }
+    }
+  }
+
+  return neighbours
+}
+
+/**
+ * Removes the counts of a transition from the lower order models it was
+ * summed up into, see `fillBackoffModels`.
+ * @param {Array<Map<Tuple<any>,any>>} models Models indexed by order
+ * @param {number} order Order of the chain
+ * @param {Tuple<any>} state State the transition leaves
+ * @param {any} token Next token
+ * @param {number} count Count of the transition
+ */
+function subtractBackoff (models, order, state, token, count) {
+  for (let k = 0; k < order; ++k) {
+    const context = state.slice(order - k)
+    const stateMaps = models[k].get(context)
+    if (!stateMaps) continue
+
+    const [lowerNext, lowerPrev] = stateMaps
+    const prev = state[order - k - 1]
+
+    for (const [weights, key] of [[lowerNext, token], [lowerPrev, prev]]) {
+      const remaining = (weights.get(key) || 0) - count
+      if (remaining > COUNT_TOLERANCE * count) {
+        weights.set(key, remaining)
+      } else {
+        weights.delete(key)
+      }
+    }
+
+    if (lowerNext.size === 0) {
+      models[k].delete(context)
+    }
+  }
 }
 
 /**
- * Proxy for a weight Map.
- * @param {Map<any,Number>} [map=new Map()] Regular Map
- * @returns {Proxy}
+ * Removes transitions towards missing states, then states left without them.
+ * @param {Map<Tuple<any>,any>} model Markov chain model
+ * @returns {number} Number of removed transitions and states
  */
-function weightMap (map = new Map()) {
-  return new Proxy(map, mapHandler(function (key) {
-    if (typeof key === 'object') {
-      return makeObjectToken(key)
+function removeDanglingTransitions (model) {
+  let removed = 0
+
+  for (const [state, [next, prev]] of [...model]) {
+    for (const token of [...next.keys()]) {
+      if (token !== END && !model.has(tuple(...state.slice(1), token))) {
+        next.delete(token)
+        removed++
+      }
     }
-    return key
-  }))
+
+    for (const token of [...prev.keys()]) {
+      if (token !== BEGIN && !model.has(tuple(token, ...state.slice(0, state.length - 1)))) {
+        prev.delete(token)
+        removed++
+      }
+    }
+
+    if (next.size === 0 || prev.size === 0) {
+      model.delete(state)
+      removed++
+    }
+  }
+
+  return removed
+}
+
+/**
+ * Removes states that cannot reach both an END and a BEGIN.
+ * @param {Map<Tuple<any>,any>} model Markov chain model
+ * @returns {number} Number of removed states
+ */
+function removeStrandedStates (model) {
+  const reachesEnd = reachingStates(model, 0, END, (state, token) => tuple(...state.slice(1), token))
+  const reachesBegin = reachingStates(model, 1, BEGIN, (state, token) => tuple(token, ...state.slice(0, state.length - 1)))
+  let removed = 0
+
+  for (const state of [...model.keys()]) {
+    if (!reachesEnd.has(state) || !reachesBegin.has(state)) {
+      model.delete(state)
+      removed++
+    }
+  }
+
+  return removed
+}
+
+/**
+ * Finds the states that can reach a stop token in a given direction.
+ * @param {Map<Tuple<any>,any>} model Markov chain model
+ * @param {number} index Index of the weight map to follow
+ * @param {Symbol} stopToken Token to reach
+ * @param {Function} move Function returning the state after a step
+ * @returns {Set<Tuple<any>>} States reaching the stop token
+ */
+function reachingStates (model, index, stopToken, move) {
+  const sources = new Map()
+  const reached = new Set()
+  const queue = []
+
+  for (const [state, stateMaps] of model) {
+    for (const token of stateMaps[index].keys()) {
+      if (token === stopToken) {
+        if (!reached.has(state)) {
+          reached.add(state)
+          queue.push(state)
+        }
+        continue
+      }
+
+      const target = move(state, token)
+      if (!sources.has(target)) sources.set(target, [])
+      sources.get(target).push(state)
+    }
+  }
+
+  while (queue.length > 0) {
+    for (const source of sources.get(queue.pop()) || []) {
+      if (!reached.has(source)) {
+        reached.add(source)
+        queue.push(source)
+      }
+    }
+  }
+
+  return reached
+}
+
+/**
+ * Builds the models of every order below the given one.
+ *
+ * Each occurrence of a state also is an occurrence of its shorter suffixes,
+ * so lower order counts can be summed up from the highest order model.
+ *
+ * @param {Map<Tuple<any>,any>} model Markov chain model
+ * @param {number} order Order of the model
+ * @returns {Array<Map<Tuple<any>,any>>} Models of order 0 up to `order`
+ */
+function buildBackoffModels (model, order) {
+  const models = Array.from({ length: order }, () => stateSpace())
+  models.push(model)
+  return fillBackoffModels(models, model, order)
+}
+
+/**
+ * Adds the counts of a model to the models of lower orders.
+ * @param {Array<Map<Tuple<any>,any>>} models Models to update, indexed by order
+ * @param {Map<Tuple<any>,any>} model Markov chain model
+ * @param {number} order Order of the model
+ * @returns {Array<Map<Tuple<any>,any>>} Updated models
+ */
+function fillBackoffModels (models, model, order) {
+  for (const [state, [next]] of model) {
+    const occurrences = [...next.values()].reduce((a, b) => a + b, 0)
+
+    for (let k = 0; k < order; ++k) {
+      const context = state.slice(order - k)
+      const prev = state[order - k - 1]
+
+      if (!models[k].has(context)) {
+        models[k].set(context, [weightMap(), weightMap()])
+      }
+
+      const [lowerNext, lowerPrev] = models[k].get(context)
+      for (const [token, count] of next) {
+        lowerNext.set(token, (lowerNext.get(token) || 0) + count)
+      }
+      lowerPrev.set(prev, (lowerPrev.get(prev) || 0) + occurrences)
+    }
+  }
+
+  return models
 }
 
 /**
- * Creates a tuple to represent complex JSON data.
- * @param {any} data
- * @returns {Tuple<Symbol,any>} Complex data token
+ * Counts the distinct tokens that may follow any state.
+ * @param {Map<Tuple<any>,any>} model Markov chain model
+ * @returns {number} Vocabulary size, END included
  */
-function makeObjectToken (data) {
-  const value = typeof data === 'string' ? data : JSON.stringify(data)
-  return tuple(OBJECT, value)
+function countVocabulary (model) {
+  const vocabulary = new Set()
+
+  for (const [next] of model.values()) {
+    for (const token of next.keys()) {
+      vocabulary.add(token)
+    }
+  }
+
+  return vocabulary.size
 }
 
 module.exports = Chain
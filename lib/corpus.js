@@ -0,0 +1,131 @@
+const { internal } = require('./util')
+
+/**
+ * Collection of the runs a chain was seeded with.
+ *
+ * Runs are indexed as text, so that generated runs can be checked for
+ * sequences copied verbatim from the corpus.
+ */
+class Corpus {
+  /**
+   * @param {Iterable<Array<any>>} [runs=[]] Initial runs
+   */
+  constructor (runs = []) {
+    internal(this).runs = []
+
+    for (const run of runs) {
+      this.add(run)
+    }
+  }
+
+  /**
+   * Number of runs.
+   * @readonly
+   * @type {number}
+   */
+  get size () {
+    return internal(this).runs.length
+  }
+
+  /**
+   * Adds a run to the corpus.
+   * @param {Array<any>} run Array of tokens
+   */
+  add (run) {
+    internal(this).runs.push([...run])
+    internal(this).text = undefined
+  }
+
+  /**
+   * Removes one occurrence of a run from the corpus.
+   * @param {Array<any>} run Array of tokens
+   * @returns {boolean} Whether the run was found
+   */
+  remove (run) {
+    const { runs } = internal(this)
+    const key = joinTokens(run)
+    const index = runs.findIndex((r) => joinTokens(r) === key)
+
+    if (index < 0) {
+      return false
+    }
+
+    runs.splice(index, 1)
+    internal(this).text = undefined
+    return true
+  }
+
+  /**
+   * Tests whether a sequence of tokens appears in any run of the corpus.
+   * @param {Array<any>} tokens Contiguous tokens to look for
+   * @returns {boolean}
+   */
+  includes (tokens) {
+    if (internal(this).text === undefined) {
+      internal(this).text = `\n${internal(this).runs.map(joinTokens).join('\n\n')}\n`
+    }
+    return internal(this).text.includes(`\n${joinTokens(tokens)}\n`)
+  }
+
+  /**
+   * Tests whether a run copies too much of the corpus.
+   *
+   * Works like `markovify`: runs may copy up to
+   * `min(round(maxOverlapRatio * run.length), maxOverlapTotal)` consecutive
+   * tokens of the corpus, and are rejected when any window of one token more
+   * appears verbatim in it.
+   *
+   * @param {Array<any>} run Array of tokens
+   * @param {object} [options={}] Options object
+   * @param {number} [options.maxOverlapRatio=0.7] Maximum overlap relative to run length
+   * @param {number} [options.maxOverlapTotal=15] Maximum overlap in tokens
+   * @returns {boolean}
+   */
+  overlaps (run, { maxOverlapRatio = 0.7, maxOverlapTotal = 15 } = {}) {
+    const size = Math.min(Math.round(maxOverlapRatio * run.length), maxOverlapTotal)
+
+    if (size >= run.length) {
+      return false
+    }
+
+    // without any allowed overlap, a single token of the corpus is too many
+    if (size === 0) {
+      return run.some((token) => this.includes([token]))
+    }
+
+    for (let i = 0; i < run.length - size; ++i) {
+      if (this.includes(run.slice(i, i + size + 1))) {
+        return true
+      }
+    }
+
+    return false
+  }
+
+  /**
+   * Iterates over the runs.
+   * @yield {Array<any>} Run of the corpus
+   */
+  * [Symbol.iterator] () {
+    yield * internal(this).runs
+  }
+
+  /**
+   * Serialises the corpus into a JSONable array of runs.
+   * @returns {Array<Array<any>>} JSON array
+   */
+  toJSON () {
+    return internal(this).runs
+  }
+}
+
+/**
+ * Joins tokens into a string that keeps token boundaries.
+ * @param {Array<any>} tokens
+ * @returns {string}
+ */
+function joinTokens (tokens) {
+  return tokens.map((token) => JSON.stringify(token) || String(token)).join('\n')
+}
+
+module.exports = Corpus
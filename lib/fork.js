@@ -0,0 +1,588 @@
+const { internal } = require('./util')
+const { stateSpace, weightMap } = require('./model')
+
+/**
+ * Copy-on-write view of a state space, see `Chain#fork`.
+ *
+ * Reads go through to the parent model, and updates are kept as count
+ * deltas, so that the parent is never written to. Counts are the parent's
+ * plus the deltas, and transitions whose count falls to zero or below are
+ * hidden. States deleted from the view are hidden until they are set again.
+ *
+ * The parent is read live: it should not change while forks of it are used.
+ */
+class ForkModel {
+  /**
+   * @param {Map<Tuple<any>,any>} parent State space to read through to
+   */
+  constructor (parent) {
+    internal(this).parent = parent
+    internal(this).deltas = stateSpace()
+    internal(this).removed = stateSpace()
+  }
+
+  /**
+   * State space read through to.
+   * @readonly
+   * @type {Map<Tuple<any>,any>}
+   */
+  get parent () {
+    return internal(this).parent
+  }
+
+  /**
+   * Number of states.
+   * @readonly
+   * @type {number}
+   */
+  get size () {
+    return [...this.keys()].length
+  }
+
+  /**
+   * Tests whether a state is in the view.
+   * @param {Tuple<any>} state
+   * @returns {boolean}
+   */
+  has (state) {
+    const { parent, deltas, removed } = internal(this)
+    return !removed.has(state) && (parent.has(state) || deltas.has(state))
+  }
+
+  /**
+   * Gets views of the transitions of a state.
+   * @param {Tuple<any>} state
+   * @returns {Array<ForkWeights>} Next and previous weight maps, if the state is in the view
+   */
+  get (state) {
+    if (!this.has(state)) return undefined
+    return [new ForkWeights(this, state, 0), new ForkWeights(this, state, 1)]
+  }
+
+  /**
+   * Sets the transitions of a state, stored as deltas from the parent's.
+   *
+   * The given maps are copied: get the state again to update it.
+   *
+   * @param {Tuple<any>} state
+   * @param {Array<Map<any,number>>} stateMaps Next and previous weight maps
+   * @returns {ForkModel} The view
+   */
+  set (state, stateMaps) {
+    const { parent, deltas, removed } = internal(this)
+    const base = parent.get(state)
+    const stateDeltas = [weightMap(), weightMap()]
+
+    stateMaps.forEach((weights, index) => {
+      const baseWeights = base ? base[index] : new Map()
+
+      for (const [token, count] of baseWeights) {
+        if (!weights.has(token)) stateDeltas[index].set(token, -count)
+      }
+
+      for (const [token, count] of weights) {
+        stateDeltas[index].set(token, count - (baseWeights.get(token) || 0))
+      }
+    })
+
+    removed.delete(state)
+    deltas.set(state, stateDeltas)
+    return this
+  }
+
+  /**
+   * Removes a state from the view.
+   * @param {Tuple<any>} state
+   * @returns {boolean} Whether the state was in the view
+   */
+  delete (state) {
+    const { parent, deltas, removed } = internal(this)
+    const existed = this.has(state)
+
+    deltas.delete(state)
+    if (parent.has(state)) {
+      removed.set(state, true)
+    }
+
+    return existed
+  }
+
+  /**
+   * Removes every state from the view.
+   */
+  clear () {
+    const { parent, deltas, removed } = internal(this)
+
+    deltas.clear()
+    for (const state of parent.keys()) {
+      removed.set(state, true)
+    }
+  }
+
+  /**
+   * Iterates over the states of the view, the parent's first.
+   * @yield {Tuple<any>} State
+   */
+  * keys () {
+    const { parent, deltas, removed } = internal(this)
+
+    for (const state of parent.keys()) {
+      if (!removed.has(state)) yield state
+    }
+
+    for (const state of deltas.keys()) {
+      if (!parent.has(state)) yield state
+    }
+  }
+
+  /**
+   * Iterates over the transitions of every state.
+   * @yield {Array<ForkWeights>} Next and previous weight maps
+   */
+  * values () {
+    for (const state of this.keys()) {
+      yield this.get(state)
+    }
+  }
+
+  /**
+   * Iterates over the states and their transitions.
+   * @yield {Array<any>} State and its weight maps
+   */
+  * entries () {
+    for (const state of this.keys()) {
+      yield [state, this.get(state)]
+    }
+  }
+
+  /**
+   * Iterates over the states and their transitions.
+   * @yield {Array<any>} State and its weight maps
+   */
+  [Symbol.iterator] () {
+    return this.entries()
+  }
+
+  /**
+   * Calls a function with the transitions and state of every state.
+   * @param {Function} callback Function called with weight maps, state and view
+   */
+  forEach (callback) {
+    for (const [state, stateMaps] of this) {
+      callback(stateMaps, state, this)
+    }
+  }
+
+  /**
+   * Iterates over the changes of the view, without the parent's counts.
+   *
+   * States removed from the view come with empty maps, and count deltas of
+   * zero are left out.
+   *
+   * @yield {Array<any>} State and its next and previous delta maps
+   */
+  * deltas () {
+    const { deltas, removed } = internal(this)
+
+    for (const state of removed.keys()) {
+      yield [state, [weightMap(), weightMap()]]
+    }
+
+    for (const [state, stateDeltas] of deltas) {
+      const changes = stateDeltas.map((weights) => weightMap(new Map([...weights].filter(([, delta]) => delta !== 0))))
+      if (changes[0].size > 0 || changes[1].size > 0) {
+        yield [state, changes]
+      }
+    }
+  }
+
+  /**
+   * Applies changes read from `deltas`: states with empty maps are removed,
+   * and the counts of the others are moved by their deltas.
+   *
+   * @param {Tuple<any>} state
+   * @param {Array<Map<any,number>>} changes Next and previous delta maps
+   */
+  apply (state, changes) {
+    if (changes[0].size === 0 && changes[1].size === 0) {
+      this.delete(state)
+      return
+    }
+
+    const { deltas, removed } = internal(this)
+
+    if (!deltas.has(state)) {
+      deltas.set(state, [weightMap(), weightMap()])
+    }
+
+    const stateDeltas = deltas.get(state)
+    changes.forEach((weights, index) => {
+      for (const [token, delta] of weights) {
+        stateDeltas[index].set(token, (stateDeltas[index].get(token) || 0) + delta)
+      }
+    })
+
+    removed.delete(state)
+  }
+
+  /**
+   * Copies the changes of the view into a new view of the same parent.
+   * @returns {ForkModel} A new view
+   */
+  copy () {
+    const { parent, deltas, removed } = internal(this)
+    const view = new ForkModel(parent)
+
+    for (const [state, stateDeltas] of deltas) {
+      internal(view).deltas.set(state, stateDeltas.map((weights) => weightMap(new Map(weights))))
+    }
+
+    for (const state of removed.keys()) {
+      internal(view).removed.set(state, true)
+    }
+
+    return view
+  }
+}
+
+/**
+ * Copy-on-write view of a weight map of a `ForkModel` state.
+ */
+class ForkWeights {
+  /**
+   * @param {ForkModel} model View the state belongs to
+   * @param {Tuple<any>} state State of the weights
+   * @param {number} index 0 for the next tokens, 1 for the previous ones
+   */
+  constructor (model, state, index) {
+    internal(this).model = model
+    internal(this).state = state
+    internal(this).index = index
+  }
+
+  /**
+   * Number of visible transitions.
+   * @readonly
+   * @type {number}
+   */
+  get size () {
+    return [...this.keys()].length
+  }
+
+  /**
+   * Gets the count of a token.
+   * @param {any} token
+   * @returns {number} Count, `undefined` when hidden
+   */
+  get (token) {
+    const base = this._base()
+    const delta = this._delta()
+    const baseCount = base && base.get(token)
+    const deltaCount = delta && delta.get(token)
+
+    if (baseCount === undefined && deltaCount === undefined) return undefined
+
+    const count = (baseCount || 0) + (deltaCount || 0)
+    return count > 0 ? count : undefined
+  }
+
+  /**
+   * Tests whether a token has a visible count.
+   * @param {any} token
+   * @returns {boolean}
+   */
+  has (token) {
+    return this.get(token) !== undefined
+  }
+
+  /**
+   * Sets the count of a token, stored as a delta from the parent's.
+   * @param {any} token
+   * @param {number} count
+   * @returns {ForkWeights} The view
+   */
+  set (token, count) {
+    const base = this._base()
+    this._delta(true).set(token, count - ((base && base.get(token)) || 0))
+    return this
+  }
+
+  /**
+   * Hides a token.
+   * @param {any} token
+   * @returns {boolean} Whether the token was visible
+   */
+  delete (token) {
+    if (!this.has(token)) return false
+
+    const base = this._base()
+    const baseCount = base && base.get(token)
+
+    if (baseCount === undefined) {
+      this._delta().delete(token)
+    } else {
+      this._delta(true).set(token, -baseCount)
+    }
+
+    return true
+  }
+
+  /**
+   * Iterates over the visible tokens and their counts.
+   * @yield {Array<any>} Token and count
+   */
+  * entries () {
+    const base = this._base()
+    const delta = this._delta()
+
+    for (const token of (base || new Map()).keys()) {
+      const count = this.get(token)
+      if (count !== undefined) yield [token, count]
+    }
+
+    for (const token of (delta || new Map()).keys()) {
+      if (base && base.has(token)) continue
+      const count = this.get(token)
+      if (count !== undefined) yield [token, count]
+    }
+  }
+
+  /**
+   * Iterates over the visible tokens.
+   * @yield {any} Token
+   */
+  * keys () {
+    for (const [token] of this.entries()) yield token
+  }
+
+  /**
+   * Iterates over the visible counts.
+   * @yield {number} Count
+   */
+  * values () {
+    for (const [, count] of this.entries()) yield count
+  }
+
+  /**
+   * Iterates over the visible tokens and their counts.
+   * @yield {Array<any>} Token and count
+   */
+  [Symbol.iterator] () {
+    return this.entries()
+  }
+
+  /**
+   * Calls a function with the count and token of every visible transition.
+   * @param {Function} callback Function called with count, token and view
+   */
+  forEach (callback) {
+    for (const [token, count] of this) {
+      callback(count, token, this)
+    }
+  }
+
+  /**
+   * Gets the parent's weights, unless the state was removed from the view.
+   * @private
+   * @returns {Map<any,number>} Weight map
+   */
+  _base () {
+    const { model, state, index } = internal(this)
+    if (internal(model).removed.has(state)) return undefined
+
+    const stateMaps = model.parent.get(state)
+    return stateMaps && stateMaps[index]
+  }
+
+  /**
+   * Gets the delta weights of the view.
+   * @private
+   * @param {boolean} [create=false] Whether to create missing deltas
+   * @returns {Map<any,number>} Weight map of deltas
+   */
+  _delta (create = false) {
+    const { model, state, index } = internal(this)
+    const { deltas, removed } = internal(model)
+
+    if (create && !deltas.has(state)) {
+      deltas.set(state, [weightMap(), weightMap()])
+      removed.delete(state)
+    }
+
+    const stateDeltas = deltas.get(state)
+    return stateDeltas && stateDeltas[index]
+  }
+}
+
+/**
+ * Copy-on-write view of a token map, see `Chain#fork`.
+ *
+ * Sets of states are copied from the parent's the first time they are got,
+ * so that they can be updated. Iteration yields the parent's sets of tokens
+ * not got yet, which must not be updated.
+ */
+class ForkTokenMap {
+  /**
+   * @param {Map<any,Set<Tuple<any>>>} parent Token map to read through to
+   */
+  constructor (parent) {
+    internal(this).parent = parent
+    internal(this).own = new Map()
+    internal(this).removed = new Set()
+  }
+
+  /**
+   * Number of tokens.
+   * @readonly
+   * @type {number}
+   */
+  get size () {
+    return [...this.keys()].length
+  }
+
+  /**
+   * Tests whether a token is mapped.
+   * @param {any} token
+   * @returns {boolean}
+   */
+  has (token) {
+    const { parent, own, removed } = internal(this)
+    return own.has(token) || (!removed.has(token) && parent.has(token))
+  }
+
+  /**
+   * Gets the states of a token, copied from the parent's.
+   * @param {any} token
+   * @returns {Set<Tuple<any>>} States, if the token is mapped
+   */
+  get (token) {
+    const { parent, own } = internal(this)
+
+    if (!own.has(token)) {
+      if (!this.has(token)) return undefined
+      own.set(token, new Set(parent.get(token)))
+    }
+
+    return own.get(token)
+  }
+
+  /**
+   * Sets the states of a token.
+   * @param {any} token
+   * @param {Set<Tuple<any>>} states
+   * @returns {ForkTokenMap} The view
+   */
+  set (token, states) {
+    internal(this).removed.delete(token)
+    internal(this).own.set(token, states)
+    return this
+  }
+
+  /**
+   * Removes a token.
+   * @param {any} token
+   * @returns {boolean} Whether the token was mapped
+   */
+  delete (token) {
+    const { parent, own, removed } = internal(this)
+    const existed = this.has(token)
+
+    own.delete(token)
+    if (parent.has(token)) {
+      removed.add(token)
+    }
+
+    return existed
+  }
+
+  /**
+   * Removes every token.
+   */
+  clear () {
+    const { parent, own, removed } = internal(this)
+
+    own.clear()
+    for (const token of parent.keys()) {
+      removed.add(token)
+    }
+  }
+
+  /**
+   * Iterates over the mapped tokens.
+   * @yield {any} Token
+   */
+  * keys () {
+    const { parent, own, removed } = internal(this)
+
+    for (const token of parent.keys()) {
+      if (!removed.has(token)) yield token
+    }
+
+    for (const token of own.keys()) {
+      if (!parent.has(token)) yield token
+    }
+  }
+
+  /**
+   * Iterates over the sets of states.
+   * @yield {Set<Tuple<any>>} States
+   */
+  * values () {
+    for (const [, states] of this.entries()) yield states
+  }
+
+  /**
+   * Iterates over the tokens and their states.
+   * @yield {Array<any>} Token and states
+   */
+  * entries () {
+    const { parent, own } = internal(this)
+
+    for (const token of this.keys()) {
+      yield [token, own.has(token) ? own.get(token) : parent.get(token)]
+    }
+  }
+
+  /**
+   * Iterates over the tokens and their states.
+   * @yield {Array<any>} Token and states
+   */
+  [Symbol.iterator] () {
+    return this.entries()
+  }
+
+  /**
+   * Calls a function with the states and token of every mapped token.
+   * @param {Function} callback Function called with states, token and view
+   */
+  forEach (callback) {
+    for (const [token, states] of this) {
+      callback(states, token, this)
+    }
+  }
+
+  /**
+   * Copies the changes of the view into a new view of the same parent.
+   * @returns {ForkTokenMap} A new view
+   */
+  copy () {
+    const { parent, own, removed } = internal(this)
+    const view = new ForkTokenMap(parent)
+
+    for (const [token, states] of own) {
+      internal(view).own.set(token, new Set(states))
+    }
+
+    for (const token of removed) {
+      internal(view).removed.add(token)
+    }
+
+    return view
+  }
+}
+
+module.exports = {
+  ForkModel,
+  ForkWeights,
+  ForkTokenMap
+}
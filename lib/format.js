@@ -0,0 +1,591 @@
+const { tuple } = require('immutable-tuple')
+
+const { readLines } = require('./stream')
+const {
+  encodeToken,
+  decodeToken,
+  tagValue,
+  untagValue,
+  stringifyToken,
+  parseTokenString,
+  stateSpace,
+  weightMap
+} = require('./model')
+
+/**
+ * Helpers to serialise chains into JSON and newline-delimited JSON.
+ *
+ * Serialised chains start with a header, then a dictionary of the tokens
+ * they use, so that states, transitions and runs refer to tokens by index:
+ * ```javascript
+ * { version, order, tokenMap, variableOrder?, backoffWeights?, decay?, deltas?,
+ *   stats: { states, transitions, tokens },
+ *   tokens: [token, ...],
+ *   values: [ [token, value], ...],
+ *   forms: [ [token, [ [surface, count], ...] ], ...],
+ *   states: [ [ [state], [ [ [next, count], ...], [ [prev, count], ...] ] ], ...],
+ *   runs: [ [token, ...], ...] }
+ * ```
+ *
+ * Values are the original object tokens of chains created with a `tokenKey`,
+ * and forms the surface forms counted by chains created with `normalize`.
+ * Variable-order chains keep their backoff weights in the header, their
+ * lower order models being summed up again when read. Chains with decay
+ * keep their clock in the header, and their counts as
+ * stored, inflated to the epoch of the clock. The deltas of forks are
+ * flagged in the header: their counts are changes to the parent's, possibly
+ * negative, and states removed from the fork have no transitions.
+ */
+const format = exports
+
+/**
+ * Version of the format written by this module.
+ * @type {number}
+ */
+format.VERSION = 2
+
+/**
+ * Number of dictionary tokens written per line.
+ * @type {number}
+ */
+format.TOKENS_PER_LINE = 1000
+
+/**
+ * Serialises a chain into a JSONable object.
+ *
+ * @param {Chain} chain Chain to serialise
+ * @returns {object} JSON object
+ */
+format.encode = function encode (chain) {
+  return encodeWith(chain, dictionary(chain))
+}
+
+/**
+ * Serialises the count deltas of a fork into a JSONable object.
+ *
+ * @param {Chain} fork Fork to serialise, see `Chain#fork`
+ * @returns {object} JSON object
+ */
+format.encodeDeltas = function encodeDeltas (fork) {
+  const model = stateSpace()
+  for (const [state, changes] of fork.model.deltas()) {
+    model.set(state, changes)
+  }
+
+  const { order, tokenMap, decay, corpus, tokenCodec } = fork
+  const deltas = { order, tokenMap, decay, corpus, tokenCodec, model }
+
+  return encodeWith(deltas, dictionary(deltas, { deltas: true }))
+}
+
+/**
+ * Serialises a chain into lines of newline-delimited JSON: the header, the
+ * token dictionary, values and forms in chunks, every state and every run
+ * of the corpus.
+ *
+ * @param {Chain} chain Chain to serialise
+ * @yield {string} Line of JSON, ending with a newline
+ */
+format.encodeLines = function * encodeLines (chain) {
+  const { header, tokens, values, forms, keyOf } = dictionary(chain)
+  const line = (value) => JSON.stringify(value) + '\n'
+
+  yield line(header)
+
+  for (let i = 0; i < tokens.length; i += format.TOKENS_PER_LINE) {
+    yield line({ tokens: tokens.slice(i, i + format.TOKENS_PER_LINE) })
+  }
+
+  for (let i = 0; i < values.length; i += format.TOKENS_PER_LINE) {
+    yield line({ values: values.slice(i, i + format.TOKENS_PER_LINE) })
+  }
+
+  for (let i = 0; i < forms.length; i += format.TOKENS_PER_LINE) {
+    yield line({ forms: forms.slice(i, i + format.TOKENS_PER_LINE) })
+  }
+
+  for (const entry of chain.model) {
+    yield line(encodeState(entry, keyOf))
+  }
+
+  if (chain.corpus) {
+    for (const run of chain.corpus) {
+      yield line({ run: encodeRun(run, keyOf, chain.tokenCodec) })
+    }
+  }
+}
+
+/**
+ * Reads a serialised chain.
+ *
+ * Besides the current format, reads the arrays of states written by earlier
+ * versions, and the objects of states and runs of chains keeping a corpus.
+ *
+ * @param {string|object} json Serialised chain, as a string or parsed
+ * @returns {object} Chain `order`, `useTokenMap`, `variableOrder`, `backoffWeights` and `decay` options, `deltas` flag, `model`, token `values` and `forms`, and corpus `runs`
+ */
+format.decode = function decode (json) {
+  let parsed = json
+
+  if (typeof json === 'string') {
+    try {
+      parsed = JSON.parse(json)
+    } catch (error) {
+      throw new Error('Invalid Markov chain JSON. ' +
+        `Expected JSON but got ${error.message}`)
+    }
+  }
+
+  const reader = new Reader()
+
+  if (Array.isArray(parsed)) {
+    parsed.forEach((entry, i) => reader.state(entry, `states[${i}]`))
+    return reader.result()
+  }
+
+  expect(isObject(parsed), 'an array or object', parsed, 'root')
+
+  if (parsed.version === undefined) {
+    expect(Array.isArray(parsed.states), 'an array', parsed.states, 'states')
+    parsed.states.forEach((entry, i) => reader.state(entry, `states[${i}]`))
+  } else {
+    reader.header(parsed, 'root')
+    expect(Array.isArray(parsed.tokens), 'an array', parsed.tokens, 'tokens')
+    reader.tokens(parsed.tokens)
+    if (parsed.values !== undefined) {
+      expect(Array.isArray(parsed.values), 'an array', parsed.values, 'values')
+      reader.values(parsed.values, 'values')
+    }
+    if (parsed.forms !== undefined) {
+      expect(Array.isArray(parsed.forms), 'an array', parsed.forms, 'forms')
+      reader.forms(parsed.forms, 'forms')
+    }
+    expect(Array.isArray(parsed.states), 'an array', parsed.states, 'states')
+    parsed.states.forEach((entry, i) => reader.state(entry, `states[${i}]`))
+  }
+
+  if (parsed.runs !== undefined) {
+    expect(Array.isArray(parsed.runs), 'an array', parsed.runs, 'runs')
+    parsed.runs.forEach((run, i) => reader.run(run, `runs[${i}]`))
+  }
+
+  return reader.result()
+}
+
+/**
+ * Reads a chain serialised into newline-delimited JSON.
+ *
+ * @param {AsyncIterable<string|Buffer>|Iterable<string|Buffer>} source Text chunks
+ * @returns {Promise<object>} Chain `order`, `useTokenMap`, `variableOrder`, `backoffWeights` and `decay` options, `deltas` flag, `model`, token `values` and `forms`, and corpus `runs`
+ */
+format.decodeLines = async function decodeLines (source) {
+  const reader = new Reader()
+  let read = 0
+
+  for await (const [line, lineNumber] of readLines(source)) {
+    const path = `line ${lineNumber}`
+    let value
+
+    try {
+      value = JSON.parse(line)
+    } catch (error) {
+      throw new Error('Invalid Markov chain JSON. ' +
+        `Expected JSON on ${path} but got ${error.message}`)
+    }
+
+    if (++read === 1) {
+      reader.header(value, path)
+    } else if (Array.isArray(value)) {
+      reader.state(value, path)
+    } else if (isObject(value) && value.tokens !== undefined) {
+      expect(Array.isArray(value.tokens), 'an array of tokens', value.tokens, path)
+      reader.tokens(value.tokens)
+    } else if (isObject(value) && value.values !== undefined) {
+      expect(Array.isArray(value.values), 'an array of values', value.values, path)
+      reader.values(value.values, path)
+    } else if (isObject(value) && value.forms !== undefined) {
+      expect(Array.isArray(value.forms), 'an array of forms', value.forms, path)
+      reader.forms(value.forms, path)
+    } else if (isObject(value) && value.run !== undefined) {
+      reader.run(value.run, path)
+    } else {
+      expect(false, 'a state, tokens or run', value, path)
+    }
+  }
+
+  expect(read > 0, 'a header', undefined, 'line 1')
+
+  return reader.result()
+}
+
+/**
+ * Validating builder of the parts of a serialised chain.
+ * @private
+ */
+class Reader {
+  constructor () {
+    this.model = stateSpace()
+    this.runs = undefined
+    this.originals = new Map()
+    this.surfaces = new Map()
+    this.dictionary = undefined
+    this.transitions = 0
+    this.options = {}
+    this.order = undefined
+    this.stats = undefined
+  }
+
+  /**
+   * Reads the header, after which tokens are read from the dictionary.
+   * @param {object} header Header object
+   * @param {string} path Location in the input
+   */
+  header (header, path) {
+    expect(isObject(header), 'a header object', header, path)
+
+    const { version, order, tokenMap, variableOrder, backoffWeights, decay, deltas, stats } = header
+
+    expect(Number.isInteger(version) && version > 0, 'a format version', version, `${path} version`)
+    if (version > format.VERSION) {
+      throw new Error('Unsupported Markov chain format. ' +
+        `Expected version ${format.VERSION} or lower but got ${version}.`)
+    }
+
+    expect(Number.isInteger(order) && order >= 0, 'a non-negative integer order', order, `${path} order`)
+    expect(typeof tokenMap === 'boolean', 'a boolean token map flag', tokenMap, `${path} tokenMap`)
+    expect(stats === undefined || isObject(stats), 'a stats object', stats, `${path} stats`)
+    expect(variableOrder === undefined || typeof variableOrder === 'boolean', 'a boolean variable order flag', variableOrder, `${path} variableOrder`)
+    expect(backoffWeights === undefined || (Array.isArray(backoffWeights) &&
+      backoffWeights.every((weight) => typeof weight === 'number' && weight >= 0 && isFinite(weight))),
+    'an array of backoff weights', backoffWeights, `${path} backoffWeights`)
+    expect(decay === undefined || (isObject(decay) && decay.halfLife > 0 &&
+      [decay.clock, decay.epoch].every((time) => typeof time === 'number' && isFinite(time))),
+    'a decay clock', decay, `${path} decay`)
+    expect(deltas === undefined || deltas === true, 'a deltas flag', deltas, `${path} deltas`)
+
+    this.dictionary = []
+    this.order = order
+    this.stats = stats
+    this.options = { order, useTokenMap: tokenMap }
+
+    if (variableOrder) {
+      this.options.variableOrder = variableOrder
+    }
+
+    if (backoffWeights) {
+      this.options.backoffWeights = backoffWeights
+    }
+
+    if (decay) {
+      this.options.decay = decay
+    }
+
+    if (deltas) {
+      this.options.deltas = deltas
+    }
+  }
+
+  /**
+   * Adds tokens to the dictionary.
+   * @param {Array<any>} tokens Serialised tokens
+   */
+  tokens (tokens) {
+    for (const token of tokens) {
+      this.dictionary.push(encodeToken(parseTokenString(token)))
+    }
+  }
+
+  /**
+   * Adds original object tokens.
+   * @param {Array<Array<any>>} pairs Pairs of token index and tagged value
+   * @param {string} path Location in the input
+   */
+  values (pairs, path) {
+    pairs.forEach((pair, i) => {
+      expect(Array.isArray(pair) && pair.length === 2, 'a [token, value] pair', pair, `${path}[${i}]`)
+      this.originals.set(this.token(pair[0], `${path}[${i}]`), untagValue(pair[1]))
+    })
+  }
+
+  /**
+   * Adds surface forms of normalised tokens.
+   * @param {Array<Array<any>>} pairs Pairs of token index and [surface, count] pairs
+   * @param {string} path Location in the input
+   */
+  forms (pairs, path) {
+    pairs.forEach((pair, i) => {
+      expect(Array.isArray(pair) && pair.length === 2 && Array.isArray(pair[1]),
+        'a [token, forms] pair', pair, `${path}[${i}]`)
+
+      const surfaces = new Map()
+      pair[1].forEach((form, j) => {
+        expect(Array.isArray(form) && typeof form[0] === 'string' && form[1] > 0,
+          'a [surface, count] pair', form, `${path}[${i}][${j}]`)
+        surfaces.set(form[0], form[1])
+      })
+
+      this.surfaces.set(this.token(pair[0], `${path}[${i}]`), surfaces)
+    })
+  }
+
+  /**
+   * Adds a state and its transitions to the model.
+   * @param {Array<any>} entry Serialised state
+   * @param {string} path Location in the input
+   */
+  state (entry, path) {
+    expect(Array.isArray(entry) && entry.length === 2 && Array.isArray(entry[1]) && entry[1].length === 2,
+      'a [state, [next, prev]] entry', entry, path)
+
+    const [state, [nextList, prevList]] = entry
+
+    expect(Array.isArray(state) && state.length > 0, 'a state array', state, `${path} state`)
+
+    if (this.order === undefined) {
+      this.order = state.length - 1
+    } else if (state.length !== this.order + 1) {
+      throw new Error('Inconsistent Markov chain order. ' +
+        `Expected ${this.order} but got ${state.length - 1} (${path}).`)
+    }
+
+    const key = tuple(...state.map((token, i) => this.token(token, `${path} state[${i}]`)))
+
+    expect(!this.model.has(key), 'a new state', state, `${path} state`)
+
+    const next = this.weights(nextList, `${path} next`)
+    const prev = this.weights(prevList, `${path} prev`)
+
+    this.transitions += next.size
+    this.model.set(key, [next, prev])
+  }
+
+  /**
+   * Adds a run to the corpus.
+   * @param {Array<any>} run Serialised run
+   * @param {string} path Location in the input
+   */
+  run (run, path) {
+    expect(Array.isArray(run), 'a run array', run, path)
+
+    this.runs = this.runs || []
+    this.runs.push(run.map((token, i) => {
+      if (!this.dictionary) return token
+      const key = this.token(token, `${path}[${i}]`)
+      return this.originals.has(key) ? this.originals.get(key) : decodeToken(key)
+    }))
+  }
+
+  /**
+   * Reads a weight map.
+   * @param {Array<Array<any>>} list Serialised pairs of token and count
+   * @param {string} path Location in the input
+   * @returns {Map<any,number>} Weight map
+   */
+  weights (list, path) {
+    expect(Array.isArray(list), 'an array of [token, count] pairs', list, path)
+
+    const weights = weightMap()
+
+    list.forEach((pair, i) => {
+      expect(Array.isArray(pair) && pair.length === 2, 'a [token, count] pair', pair, `${path}[${i}]`)
+      if (this.options.deltas) {
+        expect(typeof pair[1] === 'number' && pair[1] !== 0 && Number.isFinite(pair[1]),
+          'a non-zero count delta', pair[1], `${path}[${i}]`)
+      } else {
+        expect(typeof pair[1] === 'number' && pair[1] > 0 && Number.isFinite(pair[1]),
+          'a positive count', pair[1], `${path}[${i}]`)
+      }
+      weights.set(this.token(pair[0], `${path}[${i}]`), pair[1])
+    })
+
+    return weights
+  }
+
+  /**
+   * Reads a token, from the dictionary when there is one.
+   * @param {any} token Serialised token or dictionary index
+   * @param {string} path Location in the input
+   * @returns {any} Chain token
+   */
+  token (token, path) {
+    if (!this.dictionary) {
+      return parseTokenString(token)
+    }
+
+    expect(Number.isInteger(token) && token >= 0 && token < this.dictionary.length,
+      `a token index below ${this.dictionary.length}`, token, path)
+
+    return this.dictionary[token]
+  }
+
+  /**
+   * Checks the statistics of the header and returns what was read.
+   * @returns {object} Chain options, model and corpus runs
+   */
+  result () {
+    const { stats, model } = this
+
+    if (stats) {
+      const actual = {
+        states: model.size,
+        transitions: this.transitions,
+        tokens: this.dictionary.length
+      }
+
+      for (const name of Object.keys(actual)) {
+        if (stats[name] !== undefined && stats[name] !== actual[name]) {
+          throw new Error('Invalid Markov chain JSON. ' +
+            `Expected ${stats[name]} ${name} but got ${actual[name]}.`)
+        }
+      }
+    }
+
+    return { ...this.options, model, values: this.originals, forms: this.surfaces, runs: this.runs }
+  }
+}
+
+/**
+ * Builds the header and token dictionary of a chain.
+ * @param {Chain} chain Chain to serialise
+ * @param {object} [options={}] Options object
+ * @param {boolean} [options.deltas=false] Whether the model holds the count deltas of a fork
+ * @returns {object} Header, serialised tokens, values and forms, and a function from token to index
+ */
+function dictionary (chain, { deltas = false } = {}) {
+  const indices = new Map()
+  const tokens = []
+  let transitions = 0
+
+  const keyOf = (token) => {
+    if (!indices.has(token)) {
+      indices.set(token, tokens.length)
+      tokens.push(stringifyToken(token))
+    }
+    return indices.get(token)
+  }
+
+  for (const [state, [next, prev]] of chain.model) {
+    transitions += next.size
+    for (const token of state) keyOf(token)
+    for (const token of next.keys()) keyOf(token)
+    for (const token of prev.keys()) keyOf(token)
+  }
+
+  if (chain.corpus) {
+    for (const run of chain.corpus) encodeRun(run, keyOf, chain.tokenCodec)
+  }
+
+  const values = []
+  for (const [key, value] of chain.tokenCodec.values) {
+    if (indices.has(key)) values.push([indices.get(key), tagValue(value)])
+  }
+
+  const forms = []
+  for (const [key, surfaces] of chain.tokenCodec.forms) {
+    if (indices.has(key)) forms.push([indices.get(key), [...surfaces]])
+  }
+
+  const header = {
+    version: format.VERSION,
+    order: chain.order,
+    tokenMap: Boolean(chain.tokenMap),
+    ...(chain.models && { variableOrder: true, backoffWeights: chain.backoffWeights }),
+    ...(chain.decay && { decay: { ...chain.decay } }),
+    ...(deltas && { deltas }),
+    stats: { states: chain.model.size, transitions, tokens: tokens.length }
+  }
+
+  return { header, tokens, values, forms, keyOf }
+}
+
+/**
+ * Serialises a chain with its dictionary.
+ * @param {Chain} chain Chain to serialise
+ * @param {object} parts Result of `dictionary`
+ * @returns {object} JSON object
+ */
+function encodeWith (chain, { header, tokens, values, forms, keyOf }) {
+  const serialised = { ...header, tokens }
+
+  if (values.length > 0) {
+    serialised.values = values
+  }
+
+  if (forms.length > 0) {
+    serialised.forms = forms
+  }
+
+  serialised.states = []
+
+  for (const entry of chain.model) {
+    serialised.states.push(encodeState(entry, keyOf))
+  }
+
+  if (chain.corpus) {
+    serialised.runs = [...chain.corpus].map((run) => encodeRun(run, keyOf, chain.tokenCodec))
+  }
+
+  return serialised
+}
+
+/**
+ * Serialises a state and its transitions with dictionary indices.
+ * @param {Array<any>} entry State and its next and previous weight maps
+ * @param {Function} keyOf Function from token to index
+ * @returns {Array<any>} JSON array
+ */
+function encodeState ([state, [next, prev]], keyOf) {
+  return [
+    [...state].map(keyOf),
+    [
+      [...next].map(([token, count]) => [keyOf(token), count]),
+      [...prev].map(([token, count]) => [keyOf(token), count])
+    ]
+  ]
+}
+
+/**
+ * Serialises a run with dictionary indices.
+ *
+ * String tokens keep their surface form, which normalised model keys lose,
+ * so that overlap checks against the corpus survive serialisation. Other
+ * tokens are stored as their model keys, along with their values.
+ *
+ * @param {Array<any>} run Run of tokens
+ * @param {Function} keyOf Function from token to index
+ * @param {object} tokenCodec Encoder of tokens into model keys
+ * @returns {number[]} Token indices
+ */
+function encodeRun (run, keyOf, tokenCodec) {
+  return run.map((token) => keyOf(typeof token === 'string' ? token : tokenCodec.encode(token)))
+}
+
+/**
+ * Tests whether a value is a plain JSON object.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isObject (value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Throws a validation error unless a condition holds.
+ * @param {boolean} condition Whether the input is valid
+ * @param {string} expected Description of valid input
+ * @param {any} value Actual input
+ * @param {string} path Location in the input
+ */
+function expect (condition, expected, value, path) {
+  if (condition) return
+
+  let actual = 'object'
+  if (Array.isArray(value)) {
+    actual = `array of length ${value.length}`
+  } else if (value === null || typeof value !== 'object') {
+    actual = String(JSON.stringify(value))
+  }
+
+  throw new Error('Invalid Markov chain JSON. ' +
+    `Expected ${expected} at ${path} but got ${actual}.`)
+}
@@ -2,7 +2,14 @@
  * The markov-chainer module.
  */
 module.exports = {
-  Chain: require('./chain')
+  Chain: require('./chain'),
+  TextChain: require('./text'),
+  Bot: require('./bot'),
+  AsyncChain: require('./async-chain'),
+  MemoryStore: require('./store').MemoryStore,
+  FileStore: require('./store').FileStore,
+  tokenizer: require('./tokenizer'),
+  analysis: require('./analysis')
 }
 
 /**
@@ -0,0 +1,254 @@
+const Chain = require('./chain')
+const { internal } = require('./util')
+const { weightMap, countScale } = require('./model')
+
+/**
+ * A lazy weighted mixture of chains of the same order.
+ *
+ * Steps are sampled from the weighted sums of the step weights of the
+ * chains, decayed to their clocks as by `Chain.combine`, the same blended
+ * weights scored by `score` and `mostLikely`. Models are read through, never
+ * copied, so mixtures are read-only: seed the mixed chains instead. The
+ * token map is merged once, when the mixture is created, and tokens are
+ * decoded by the first chain knowing their key or surface forms.
+ */
+class Mixture extends Chain {
+  /**
+   * @param {Chain[]} chains Chains to sample from
+   * @param {number[]} weights Weight of each chain
+   * @param {object} [options={}] Options object
+   * @param {number|Function} [options.random=Math.random] Seed or random number generator
+   */
+  constructor (chains, weights, { random } = {}) {
+    super({ order: chains[0].order, random })
+
+    internal(this).chains = chains
+    internal(this).weights = weights
+    internal(this).model = new MixtureModel(chains, weights)
+    internal(this).tokenCodec = mixTokenCodecs(chains)
+
+    if (chains.some((chain) => chain.tokenMap)) {
+      internal(this).tokenMap = mixTokenMaps(chains)
+    }
+  }
+
+  /**
+   * Chains sampled from.
+   * @readonly
+   * @type {Chain[]}
+   */
+  get chains () {
+    return internal(this).chains
+  }
+
+  /**
+   * Weight of each chain.
+   * @readonly
+   * @type {number[]}
+   */
+  get weights () {
+    return internal(this).weights
+  }
+
+  /**
+   * Sums the weighted step weights of the chains knowing a given state.
+   *
+   * @private
+   * @param {Tuple<any>} fromState The state to move from
+   * @param {boolean} [forward=true] Movement direction
+   * @returns {Map<any,number>} Step weights, if any chain knows the state
+   */
+  _stepWeights (fromState, forward = true) {
+    let stepWeights
+
+    this.chains.forEach((chain, index) => {
+      const weight = this.weights[index] / countScale(chain)
+      const chainWeights = weight > 0 && chain._stepWeights(fromState, forward)
+      if (!chainWeights) return
+
+      stepWeights = stepWeights || new Map()
+      for (const [token, count] of chainWeights) {
+        stepWeights.set(token, (stepWeights.get(token) || 0) + count * weight)
+      }
+    })
+
+    return stepWeights
+  }
+}
+
+/**
+ * Read-only view of the weighted sum of chain models.
+ */
+class MixtureModel {
+  /**
+   * @param {Chain[]} chains Chains to read from
+   * @param {number[]} weights Weight of each chain
+   */
+  constructor (chains, weights) {
+    internal(this).chains = chains
+    internal(this).weights = weights
+  }
+
+  /**
+   * Number of distinct states.
+   * @readonly
+   * @type {number}
+   */
+  get size () {
+    return new Set(this.keys()).size
+  }
+
+  /**
+   * Tests whether any chain knows a state.
+   * @param {Tuple<any>} state
+   * @returns {boolean}
+   */
+  has (state) {
+    return internal(this).chains.some((chain) => chain.model.has(state))
+  }
+
+  /**
+   * Sums the weighted transitions of a state, decayed to the clock of each chain.
+   * @param {Tuple<any>} state
+   * @returns {Array<Map<any,number>>} Next and previous weight maps, if any chain knows the state
+   */
+  get (state) {
+    const { chains, weights } = internal(this)
+    let stateMaps
+
+    chains.forEach((chain, index) => {
+      const chainMaps = chain.model.get(state)
+      if (!chainMaps || weights[index] === 0) return
+
+      const weight = weights[index] / countScale(chain)
+      stateMaps = stateMaps || [weightMap(), weightMap()]
+      stateMaps.forEach((counts, direction) => {
+        for (const [token, count] of chainMaps[direction]) {
+          counts.set(token, (counts.get(token) || 0) + count * weight)
+        }
+      })
+    })
+
+    return stateMaps
+  }
+
+  /**
+   * Iterates over the distinct states.
+   * @yield {Tuple<any>} State
+   */
+  * keys () {
+    const seen = new Set()
+
+    for (const chain of internal(this).chains) {
+      for (const state of chain.model.keys()) {
+        if (!seen.has(state)) {
+          seen.add(state)
+          yield state
+        }
+      }
+    }
+  }
+
+  /**
+   * Iterates over the summed transitions of every state.
+   * @yield {Array<Map<any,number>>} Next and previous weight maps
+   */
+  * values () {
+    for (const state of this.keys()) {
+      yield this.get(state)
+    }
+  }
+
+  /**
+   * Iterates over the states and their summed transitions.
+   * @yield {Array<any>} State and its weight maps
+   */
+  * entries () {
+    for (const state of this.keys()) {
+      yield [state, this.get(state)]
+    }
+  }
+
+  /**
+   * Iterates over the states and their summed transitions.
+   * @yield {Array<any>} State and its weight maps
+   */
+  [Symbol.iterator] () {
+    return this.entries()
+  }
+
+  /**
+   * Refuses updates, mixtures are read-only.
+   * @throws {Error}
+   */
+  set () {
+    throw new Error('Invalid Markov chain operation. ' +
+      'Expected a writable model but got a mixture.')
+  }
+
+  /**
+   * Refuses updates, mixtures are read-only.
+   * @throws {Error}
+   */
+  delete () {
+    this.set()
+  }
+}
+
+/**
+ * Merges the token maps of chains.
+ * @param {Chain[]} chains Chains with or without token map
+ * @returns {Map<any,Set<Tuple<any>>>} Token map
+ */
+function mixTokenMaps (chains) {
+  const tokenMap = new Map()
+
+  for (const chain of chains) {
+    for (const [token, states] of chain.tokenMap || []) {
+      if (!tokenMap.has(token)) {
+        tokenMap.set(token, new Set())
+      }
+      const entry = tokenMap.get(token)
+      states.forEach((state) => entry.add(state))
+    }
+  }
+
+  return tokenMap
+}
+
+/**
+ * Merges the token codecs of chains, encoding with the first one.
+ * @param {Chain[]} chains Chains to read tokens from
+ * @returns {object} Token codec
+ */
+function mixTokenCodecs (chains) {
+  const codecs = chains.map((chain) => chain.tokenCodec)
+
+  return {
+    encode: codecs[0].encode,
+    decode (token, random) {
+      const known = codecs.find((codec) => codec.forms.has(token) || codec.values.has(token))
+      return (known || codecs[0]).decode(token, random)
+    },
+    get values () {
+      const values = new Map()
+      for (const codec of codecs) {
+        for (const [key, value] of codec.values) {
+          if (!values.has(key)) values.set(key, value)
+        }
+      }
+      return values
+    },
+    get forms () {
+      const forms = new Map()
+      for (const codec of codecs) {
+        for (const [key, surfaces] of codec.forms) {
+          if (!forms.has(key)) forms.set(key, surfaces)
+        }
+      }
+      return forms
+    }
+  }
+}
+
+module.exports = Mixture
@@ -0,0 +1,482 @@
+/**
+ * Tokens, states and maps shared by chain models.
+ */
+const util = require('util')
+const { tuple } = require('immutable-tuple')
+
+const { cumulativeSum, randomElement } = require('./util')
+
+/**
+ * Token to tag a complex JSON value.
+ * @constant
+ * @type {Symbol}
+ */
+const OBJECT = Symbol('@@OBJECT')
+
+/**
+ * Token to represent the start of runs.
+ * @constant
+ * @type {Symbol}
+ */
+const BEGIN = Symbol('@@BEGIN')
+
+/**
+ * Token to represent the end of runs.
+ * @constant
+ * @type {Symbol}
+ */
+const END = Symbol('@@END')
+
+/**
+ * Generates a initial state for a chain of the given order.
+ * @param {number} order Order of chain
+ * @returns {Tuple<any>} Initial state
+ */
+function getInitialState (order) {
+  return tuple(...Array(1 + order).fill(BEGIN))
+}
+
+/**
+ * Tests if token is complex object.
+ * @param {any} token
+ * @returns {boolean}
+ */
+function isObjectToken (token) {
+  return tuple.isTuple(token) && token[0] === OBJECT
+}
+
+/**
+ * Transforms a token into the key used by models.
+ * @param {any} token
+ * @returns {any} Token key, complex objects being tagged
+ */
+function encodeToken (token) {
+  if (typeof token === 'object' && !isObjectToken(token)) {
+    return makeObjectToken(token)
+  }
+  return token
+}
+
+/**
+ * Transforms a complex object token back into its value.
+ * @param {any} token
+ * @returns {any} Token value
+ */
+function decodeToken (token) {
+  if (isObjectToken(token)) {
+    try {
+      return untagValue(JSON.parse(token[1]))
+    } catch (_) {}
+  }
+  return token
+}
+
+/**
+ * Named token normalisations, see `tokenCodec`.
+ * @type {Object<string,Function>}
+ */
+const normalizers = {
+  lowercase: (token) => token.toLowerCase(),
+  NFKC: (token) => token.normalize('NFKC')
+}
+
+/**
+ * Creates the functions turning the tokens of a chain into model keys and
+ * back.
+ *
+ * Object tokens are keyed by the canonical encoding of `tokenKey(token)`, or
+ * of the whole token by default. With a `tokenKey`, the first token seen for
+ * each key is kept, so that walks return it rather than its key.
+ *
+ * String tokens are keyed by `normalize(token)`, given as a function, as the
+ * name of a normalisation (`'lowercase'` or `'NFKC'`) or as an array of them
+ * applied in order. The surface forms counted for each key are decoded into
+ * the most frequent one, or into one sampled by frequency. Only decoding with
+ * a random number generator samples, so that decoding without one, as scores
+ * do, always gives the most frequent form.
+ *
+ * @param {object} [options={}] Options object
+ * @param {Function} [options.tokenKey] Function from an object token to the value identifying it
+ * @param {Function|string|Array<Function|string>} [options.normalize] Normalisation of string tokens
+ * @param {string} [options.surfaceForm='frequent'] Either `'frequent'` or `'sample'`
+ * @returns {object} Token codec
+ */
+function tokenCodec ({ tokenKey, normalize, surfaceForm = 'frequent' } = {}) {
+  const values = new Map()
+  const forms = new Map()
+  const normalizeString = normalize && normalizer(normalize)
+
+  if (surfaceForm !== 'frequent' && surfaceForm !== 'sample') {
+    throw new Error('Invalid Markov chain surface form. ' +
+      `Expected 'frequent' or 'sample' but got ${surfaceForm}.`)
+  }
+
+  return {
+    values,
+    forms,
+    encode (token) {
+      if (normalizeString && typeof token === 'string') {
+        return normalizeString(token)
+      }
+      if (!tokenKey || typeof token !== 'object' || token === null || isObjectToken(token)) {
+        return encodeToken(token)
+      }
+      const key = makeObjectToken(tokenKey(token))
+      if (!values.has(key)) {
+        values.set(key, token)
+      }
+      return key
+    },
+    decode (token, random) {
+      const surfaces = forms.get(token)
+      if (surfaces) {
+        return surfaceForm === 'sample' && random
+          ? randomElement([...surfaces.keys()], [...surfaces.values()], random)
+          : mostFrequent(surfaces)
+      }
+      return values.has(token) ? values.get(token) : decodeToken(token)
+    },
+    count (run, delta = 1) {
+      if (!normalizeString) return
+      for (const token of run) {
+        if (typeof token !== 'string') continue
+        const key = normalizeString(token)
+        const surfaces = forms.get(key) || new Map()
+        const count = (surfaces.get(token) || 0) + delta
+        if (count > 0) {
+          surfaces.set(token, count)
+        } else {
+          surfaces.delete(token)
+        }
+        if (surfaces.size > 0) {
+          forms.set(key, surfaces)
+        } else {
+          forms.delete(key)
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Composes a normalisation of string tokens.
+ * @param {Function|string|Array<Function|string>} normalize Functions or names of normalisations
+ * @returns {Function} Normalisation
+ */
+function normalizer (normalize) {
+  const steps = [].concat(normalize).map((step) => {
+    if (typeof step === 'function') return step
+    if (normalizers[step]) return normalizers[step]
+    throw new Error('Invalid Markov chain normalization. ' +
+      `Expected a function or one of ${Object.keys(normalizers).join(', ')} but got ${step}.`)
+  })
+
+  return (token) => steps.reduce((result, step) => step(result), token)
+}
+
+/**
+ * Finds the most frequent key of a weight map, the first one on ties.
+ * @param {Map<any,number>} weights
+ * @returns {any}
+ */
+function mostFrequent (weights) {
+  let best
+  let bestCount = -Infinity
+  for (const [key, count] of weights) {
+    if (count > bestCount) {
+      best = key
+      bestCount = count
+    }
+  }
+  return best
+}
+
+/**
+ * Transforms a value into canonical JSON data.
+ *
+ * Object keys are sorted, keys starting with `$` are escaped with another
+ * `$`, and dates, `undefined` and non-finite numbers, which JSON loses, are
+ * tagged as `{ $type, $value }` objects. Functions and symbols are read as
+ * `undefined`.
+ *
+ * @param {any} value
+ * @returns {any} Canonical JSON data
+ */
+function tagValue (value) {
+  if (value === undefined || typeof value === 'function' || typeof value === 'symbol') {
+    return { $type: 'undefined' }
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : { $type: 'number', $value: String(value) }
+  }
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+  if (value instanceof Date) {
+    return { $type: 'Date', $value: isNaN(value) ? null : value.toISOString() }
+  }
+  if (typeof value.toJSON === 'function') {
+    return tagValue(value.toJSON())
+  }
+  if (Array.isArray(value)) {
+    return Array.from(value, tagValue)
+  }
+
+  const tagged = {}
+  for (const key of Object.keys(value).sort()) {
+    tagged[key[0] === '$' ? `$${key}` : key] = tagValue(value[key])
+  }
+  return tagged
+}
+
+/**
+ * Transforms canonical JSON data back into a value, see `tagValue`.
+ * @param {any} data Canonical JSON data
+ * @returns {any} Value
+ */
+function untagValue (data) {
+  if (Array.isArray(data)) {
+    return data.map(untagValue)
+  }
+  if (data === null || typeof data !== 'object') {
+    return data
+  }
+
+  switch (data.$type) {
+    case 'undefined': return undefined
+    case 'number': return Number(data.$value)
+    case 'Date': return new Date(data.$value === null ? NaN : data.$value)
+  }
+
+  const value = {}
+  for (const key of Object.keys(data)) {
+    value[key.startsWith('$$') ? key.slice(1) : key] = untagValue(data[key])
+  }
+  return value
+}
+
+const symbolRegex = /^Symbol\((@@BEGIN|@@END)\)$/
+const objectRegex = /^Object\((.*)\)$/
+const valueRegex = /^Value\((.*)\)$/
+
+/**
+ * Transforms token type to proper token string.
+ * @param {any} token
+ * @returns {string} String token
+ */
+function stringifyToken (token) {
+  if (token === BEGIN) return BEGIN.toString()
+  if (token === END) return END.toString()
+  if (isObjectToken(token)) return `Object(${token[1]})`
+  if (token === undefined || (typeof token === 'number' && !Number.isFinite(token))) {
+    return `Value(${JSON.stringify(tagValue(token))})`
+  }
+  if (typeof token === 'string' && [symbolRegex, objectRegex, valueRegex].some((regex) => regex.test(token))) {
+    return `"${token}"`
+  }
+  return token
+}
+
+/**
+ * Transforms token string to proper token type.
+ * @param {string} string
+ * @returns {any} Chain token
+ */
+function parseTokenString (string) {
+  if (string === BEGIN.toString()) return BEGIN
+  if (string === END.toString()) return END
+  let res
+  if ((res = objectRegex.exec(string))) return makeObjectToken(untagValue(JSON.parse(res[1])))
+  if ((res = valueRegex.exec(string))) return untagValue(JSON.parse(res[1]))
+  return string
+}
+
+/**
+ * Builds a Map of token to states.
+ * @param {Map<Tuple<any>,any>} model Markov chain model
+ * @returns {Map<any,Tuple<any>>} Token map
+ */
+function buildTokenMap (model) {
+  return fillTokenMap(new Map(), model)
+}
+
+/**
+ * Adds the states of a model to a token map.
+ * @param {Map<any,Tuple<any>>} tokenMap Token map to update
+ * @param {Map<Tuple<any>,any>} model Markov chain model
+ * @returns {Map<any,Tuple<any>>} Token map
+ */
+function fillTokenMap (tokenMap, model) {
+  for (const state of model.keys()) {
+    for (const token of state) {
+      if (!tokenMap.has(token)) {
+        tokenMap.set(token, new Set())
+      }
+      const entry = tokenMap.get(token)
+      entry.add(state)
+    }
+  }
+
+  return tokenMap
+}
+
+const inspect = Symbol.for('nodejs.util.inspect.custom')
+
+/**
+ * Creates a proxy map handler.
+ * @param {Function} keyFn Function to make keys
+ * @param {Function} [onChange] Function called before the map changes
+ * @returns {object} Proxy handler
+ */
+function mapHandler (keyFn, onChange) {
+  const ops = ['set', 'get', 'has', 'delete']
+  const mutations = ['set', 'delete', 'clear']
+
+  const handler = {
+    get (target, propertyKey) {
+      let property = Reflect.get(target, propertyKey)
+      if (typeof property === 'function') {
+        if (ops.includes(propertyKey)) {
+          property = trap.bind(target, property)
+        } else {
+          property = property.bind(target)
+        }
+        if (onChange && mutations.includes(propertyKey)) {
+          property = notify.bind(target, property)
+        }
+      } else if (propertyKey === inspect) {
+        property = inspectUtil.bind(target)
+      }
+      return property
+    }
+  }
+
+  /**
+   * Trap for map get, set, has and delete.
+   */
+  function trap (operation, ...args) {
+    args[0] = keyFn(args[0])
+    return Reflect.apply(operation, this, args)
+  }
+  /**
+   * Trap for map mutations.
+   */
+  function notify (operation, ...args) {
+    onChange(this)
+    return operation(...args)
+  }
+  /**
+   * Node utility.
+   */
+  function inspectUtil () {
+    return util.inspect(this, false, null)
+  }
+
+  return handler
+}
+
+/**
+ * Proxy for a state space Map.
+ * @param {Map<Tuple<any>,any>} [map=new Map()] Regular Map
+ * @returns {Proxy}
+ */
+function stateSpace (map = new Map()) {
+  return new Proxy(map, mapHandler(function (key) {
+    if (!tuple.isTuple(key)) {
+      throw new Error('Invalid Markov chain state. ' +
+      `Expected tuple but got ${typeof key} (${key || key.toString()}).`)
+    }
+    return key.map(encodeToken)
+  }))
+}
+
+/**
+ * Proxy for a weight Map.
+ * @param {Map<any,Number>} [map=new Map()] Regular Map
+ * @returns {Proxy}
+ */
+function weightMap (map = new Map()) {
+  const proxy = new Proxy(map, mapHandler(encodeToken, function () {
+    samplingTables.set(proxy, undefined)
+  }))
+
+  samplingTables.set(proxy, undefined)
+  return proxy
+}
+
+/**
+ * Cached sampling tables of weight maps.
+ *
+ * Every weight map has an entry, emptied whenever the map changes, so that
+ * only the states updated by a seed are rebuilt on their next step. Other
+ * weights are not cached: the blended weights of variable-order chains and
+ * mixtures, and the views of forks, are built anew at each step, along with
+ * their tables.
+ *
+ * @type {WeakMap<Map<any,number>,object>}
+ */
+const samplingTables = new WeakMap()
+
+/**
+ * Gets the cumulative sampling table of step weights.
+ * @param {Map<any,number>} weights Step weights
+ * @returns {{choices: any[], distributionSum: number[]}} Sampling table
+ */
+function samplingTable (weights) {
+  let table = samplingTables.get(weights)
+
+  if (!table) {
+    table = {
+      choices: [...weights.keys()],
+      distributionSum: cumulativeSum(weights.values())
+    }
+
+    if (samplingTables.has(weights)) {
+      samplingTables.set(weights, table)
+    }
+  }
+
+  return table
+}
+
+/**
+ * Gets the ratio of stored counts to counts decayed to the current clock.
+ * @param {object} chain Chain object
+ * @param {object} [chain.decay] Decay clock
+ * @returns {number} Inflation of the counts, 1 without decay
+ */
+function countScale ({ decay }) {
+  return decay ? Math.pow(2, (decay.clock - decay.epoch) / decay.halfLife) : 1
+}
+
+/**
+ * Creates a tuple to represent complex data, equal for equal data whatever
+ * the order of its keys.
+ * @param {any} data
+ * @returns {Tuple<Symbol,string>} Complex data token
+ */
+function makeObjectToken (data) {
+  return tuple(OBJECT, JSON.stringify(tagValue(data)))
+}
+
+module.exports = {
+  OBJECT,
+  BEGIN,
+  END,
+  getInitialState,
+  isObjectToken,
+  encodeToken,
+  decodeToken,
+  tokenCodec,
+  tagValue,
+  untagValue,
+  stringifyToken,
+  parseTokenString,
+  buildTokenMap,
+  fillTokenMap,
+  stateSpace,
+  weightMap,
+  samplingTable,
+  countScale,
+  makeObjectToken
+}
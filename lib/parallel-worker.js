@@ -0,0 +1,16 @@
+const { parentPort, workerData } = require('worker_threads')
+const { TextEncoder } = require('util')
+
+const Chain = require('./chain')
+
+/**
+ * Worker thread seeding a shard of a corpus, see `parallel.train`.
+ *
+ * The serialised chain is sent back as bytes, whose buffer is transferred
+ * rather than copied.
+ */
+const { runs, options } = workerData
+const chain = new Chain({ ...options, corpus: runs })
+const bytes = new TextEncoder().encode(JSON.stringify(chain))
+
+parentPort.postMessage(bytes, [bytes.buffer])
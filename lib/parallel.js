@@ -0,0 +1,144 @@
+const os = require('os')
+const path = require('path')
+const { Worker } = require('worker_threads')
+const { TextDecoder } = require('util')
+
+const Chain = require('./chain')
+const { stateSpace, weightMap } = require('./model')
+
+/**
+ * Helpers to train chains across worker threads.
+ */
+const parallel = exports
+
+/**
+ * Builds a chain from a corpus, seeding contiguous shards of it in worker
+ * threads.
+ *
+ * Each worker builds the counts of its shard, serialises them, see
+ * `Chain#toJSON`, and transfers the bytes back. Shards are merged in order as
+ * soon as the shards before them are, so the model is the same as the one
+ * built serially, down to the order of its states. As with `new Chain`, size
+ * limits are enforced once, when every shard is merged. The first failing
+ * worker rejects the promise and terminates the others.
+ *
+ * Options are cloned into the workers, so the `tokenKey` and `normalize`
+ * options cannot be functions.
+ *
+ * @param {Iterable<Array<any>>} corpus Sample runs of the process
+ * @param {object} [options={}] Options object, also passed to the Chain constructor
+ * @param {number} [options.workers=os.cpus().length] Maximum number of worker threads
+ * @returns {Promise<Chain>} A new chain instance
+ */
+parallel.train = async function train (corpus, { workers = os.cpus().length, ...options } = {}) {
+  if (!(Number.isInteger(workers) && workers > 0)) {
+    throw new Error('Invalid Markov chain workers. ' +
+      `Expected a positive integer but got ${workers}.`)
+  }
+
+  const { order = 0, tokenKey, normalize, surfaceForm } = options
+  if (tokenKey !== undefined || [].concat(normalize).some((n) => typeof n === 'function')) {
+    throw new Error('Invalid Markov chain option. ' +
+      'Expected options that can be cloned into workers but got a function.')
+  }
+
+  const runs = [...corpus]
+  runs.forEach((run, index) => {
+    if (!Array.isArray(run)) {
+      throw new Error('Invalid Markov chain run. ' +
+        `Expected array but got ${typeof run} (run ${index}).`)
+    }
+  })
+  const size = Math.ceil(runs.length / workers)
+  const shards = []
+
+  for (let start = 0; start < runs.length; start += size) {
+    shards.push(runs.slice(start, start + size))
+  }
+
+  if (shards.length === 0) {
+    return new Chain(options)
+  }
+
+  const threads = []
+  const parts = shards.map((shard) => trainShard(shard, { order, normalize, surfaceForm }, threads))
+  const failure = new Promise((resolve, reject) => parts.forEach((part) => part.catch(reject)))
+  const merged = { model: stateSpace(), values: new Map(), forms: new Map() }
+
+  try {
+    for (const part of parts) {
+      mergeShard(merged, Chain.fromJSON(await Promise.race([part, failure])))
+    }
+  } catch (error) {
+    threads.forEach((thread) => thread.terminate())
+    throw error
+  }
+
+  const chain = new Chain({ ...options, order, model: merged.model })
+  const { values, forms } = chain.tokenCodec
+
+  merged.values.forEach((value, key) => values.set(key, value))
+  merged.forms.forEach((surfaces, key) => forms.set(key, surfaces))
+
+  if (chain.corpus) {
+    for (const run of runs) chain.corpus.add(run)
+  }
+
+  return chain
+}
+
+/**
+ * Adds the counts and tokens of a shard to the ones merged so far.
+ * @param {object} merged Model, token values and surface forms merged so far
+ * @param {Chain} shard Chain of the shard
+ */
+function mergeShard ({ model, values, forms }, shard) {
+  for (const [state, stateMaps] of shard.model) {
+    if (!model.has(state)) {
+      model.set(state, [weightMap(), weightMap()])
+    }
+
+    model.get(state).forEach((counts, direction) => {
+      for (const [token, count] of stateMaps[direction]) {
+        counts.set(token, (counts.get(token) || 0) + count)
+      }
+    })
+  }
+
+  for (const [key, value] of shard.tokenCodec.values) {
+    if (!values.has(key)) values.set(key, value)
+  }
+
+  for (const [key, surfaces] of shard.tokenCodec.forms) {
+    if (!forms.has(key)) forms.set(key, new Map())
+    const counts = forms.get(key)
+    for (const [surface, count] of surfaces) {
+      counts.set(surface, (counts.get(surface) || 0) + count)
+    }
+  }
+}
+
+/**
+ * Seeds a shard of the corpus in a worker thread.
+ * @param {Array<Array<any>>} runs Runs of the shard
+ * @param {object} options Options to the Chain constructor of the worker
+ * @param {Worker[]} threads Running workers, to which the new one is added
+ * @returns {Promise<string>} Serialised chain of the shard
+ */
+function trainShard (runs, options, threads) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'parallel-worker.js'), {
+      workerData: { runs, options }
+    })
+    threads.push(worker)
+
+    worker.once('message', (bytes) => resolve(new TextDecoder().decode(bytes)))
+    worker.once('error', reject)
+    worker.once('exit', (code) => {
+      if (code !== 0) {
+        reject(new Error('Markov chain worker failed. ' +
+          `Expected exit code 0 but got ${code}.`))
+      }
+    })
+  })
+}
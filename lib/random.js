@@ -0,0 +1,62 @@
+/**
+ * Sources of randomness for chain walks.
+ */
+const random = exports
+
+/**
+ * Creates a seeded pseudo-random number generator (Mulberry32).
+ *
+ * The generator is a function returning numbers in `[0, 1)`, just like
+ * `Math.random`. Its internal state can be read and assigned through the
+ * `state` property in order to save and replay a sequence.
+ *
+ * @param {number} seed Initial seed
+ * @returns {Function} Seeded generator
+ */
+random.seeded = function seeded (seed) {
+  if (!Number.isFinite(seed)) {
+    throw new Error('Invalid random seed. ' +
+      `Expected finite number but got ${typeof seed} (${String(seed)}).`)
+  }
+
+  let state = seed >>> 0
+
+  const generator = function () {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  Object.defineProperty(generator, 'state', {
+    enumerable: true,
+    get () {
+      return state
+    },
+    set (value) {
+      state = value >>> 0
+    }
+  })
+
+  return generator
+}
+
+/**
+ * Turns a random option into a generator function.
+ *
+ * Numbers are used as seeds for a new `random.seeded` generator and
+ * functions are used as they are.
+ *
+ * @param {number|Function} [source] Seed or generator function
+ * @param {Function} [fallback=Math.random] Generator used when source is missing
+ * @returns {Function} Generator returning numbers in `[0, 1)`
+ */
+random.resolve = function resolve (source, fallback = Math.random) {
+  if (source === undefined || source === null) return fallback
+  if (typeof source === 'function') return source
+  if (typeof source === 'number') return random.seeded(source)
+
+  throw new Error('Invalid random source. ' +
+    `Expected number or function but got ${typeof source}.`)
+}
@@ -0,0 +1,464 @@
+const fs = require('fs')
+const { tuple } = require('immutable-tuple')
+
+const { internal } = require('./util')
+const {
+  encodeToken,
+  stringifyToken,
+  parseTokenString,
+  stateSpace,
+  weightMap
+} = require('./model')
+
+/**
+ * Storage of a state space, read and written asynchronously, see
+ * `AsyncChain`.
+ *
+ * States are tuples of model keys, and their values are pairs of weight
+ * maps, of the next and previous tokens, as in `Chain#model`. Values read
+ * from a store may be copies: they must be `set` again once updated.
+ *
+ * @typedef {object} Store
+ * @property {Function} get Resolves with the weight maps of a state, or `undefined`
+ * @property {Function} set Stores the weight maps of a state
+ * @property {Function} has Resolves with whether a state is stored
+ * @property {Function} delete Removes a state, resolving with whether it was stored
+ * @property {Function} entries Async iterable of `[state, weightMaps]` pairs
+ * @property {number} size Number of stored states
+ * @property {Function} close Releases the resources of the store
+ */
+
+/**
+ * Store keeping states in memory, in a `stateSpace` map.
+ */
+class MemoryStore {
+  /**
+   * @param {Map<Tuple<any>,any>} [model=stateSpace()] State space to store states in, such as `Chain#model`
+   */
+  constructor (model = stateSpace()) {
+    internal(this).model = model
+  }
+
+  /**
+   * State space of the store.
+   * @readonly
+   * @type {Map<Tuple<any>,any>}
+   */
+  get model () {
+    return internal(this).model
+  }
+
+  /**
+   * Number of stored states.
+   * @readonly
+   * @type {number}
+   */
+  get size () {
+    return this.model.size
+  }
+
+  /**
+   * Gets the weight maps of a state.
+   * @param {Tuple<any>} state State tuple
+   * @returns {Promise<Array<Map<any,number>>>} Next and previous weight maps, or `undefined`
+   */
+  async get (state) {
+    return this.model.get(state)
+  }
+
+  /**
+   * Stores the weight maps of a state.
+   * @param {Tuple<any>} state State tuple
+   * @param {Array<Map<any,number>>} stateMaps Next and previous weight maps
+   */
+  async set (state, stateMaps) {
+    this.model.set(state, stateMaps)
+  }
+
+  /**
+   * Checks whether a state is stored.
+   * @param {Tuple<any>} state State tuple
+   * @returns {Promise<boolean>} Whether the state is stored
+   */
+  async has (state) {
+    return this.model.has(state)
+  }
+
+  /**
+   * Removes a state.
+   * @param {Tuple<any>} state State tuple
+   * @returns {Promise<boolean>} Whether the state was stored
+   */
+  async delete (state) {
+    return this.model.delete(state)
+  }
+
+  /**
+   * Iterates over the stored states.
+   * @yield {Array<any>} State tuple and weight maps
+   */
+  async * entries () {
+    yield * this.model
+  }
+
+  /**
+   * Does nothing, memory stores hold no resources.
+   */
+  async close () {}
+}
+
+/**
+ * Store keeping states in an append-only log file, with an in-memory index
+ * of where the latest record of each state starts.
+ *
+ * Every `set` appends a line of JSON with the state and its weight maps, and
+ * every `delete` a line with the state alone, so only the keys of the
+ * states are held in memory. Superseded records are dropped by `compact`.
+ * Reads and writes are applied in call order, so reads see every write
+ * called before them.
+ */
+class FileStore {
+  /**
+   * Use `FileStore.open` to create file stores.
+   * @private
+   * @param {string} file Path of the log file
+   */
+  constructor (file) {
+    internal(this).file = file
+    internal(this).index = new Map()
+    internal(this).end = 0
+    internal(this).queue = Promise.resolve()
+  }
+
+  /**
+   * Opens a log file, creating it if needed, and indexes its records.
+   *
+   * A last record cut short, by a crash while writing, is removed.
+   *
+   * @static
+   * @param {string} file Path of the log file
+   * @returns {Promise<FileStore>} A new file store
+   */
+  static async open (file) {
+    const store = new FileStore(file)
+    await store._load()
+    return store
+  }
+
+  /**
+   * Path of the log file.
+   * @readonly
+   * @type {string}
+   */
+  get file () {
+    return internal(this).file
+  }
+
+  /**
+   * Number of stored states.
+   * @readonly
+   * @type {number}
+   */
+  get size () {
+    return internal(this).index.size
+  }
+
+  /**
+   * Gets the weight maps of a state, read from the log.
+   * @param {Tuple<any>} state State tuple
+   * @returns {Promise<Array<Map<any,number>>>} Next and previous weight maps, or `undefined`
+   */
+  get (state) {
+    const key = stateKey(state)
+
+    return this._queue(async () => {
+      const entry = internal(this).index.get(key)
+      if (!entry) return undefined
+
+      const [, next, prev] = await this._read(entry)
+      return [readWeights(next), readWeights(prev)]
+    })
+  }
+
+  /**
+   * Appends the weight maps of a state to the log.
+   * @param {Tuple<any>} state State tuple
+   * @param {Array<Map<any,number>>} stateMaps Next and previous weight maps
+   * @returns {Promise<void>} Resolves once written
+   */
+  set (state, [next, prev]) {
+    const tokens = [...state].map(stringifyToken)
+    const record = [tokens, writeWeights(next), writeWeights(prev)]
+
+    return this._queue(() => this._append(JSON.stringify(tokens), record))
+  }
+
+  /**
+   * Checks whether a state is stored.
+   * @param {Tuple<any>} state State tuple
+   * @returns {Promise<boolean>} Whether the state is stored
+   */
+  has (state) {
+    const key = stateKey(state)
+    return this._queue(async () => internal(this).index.has(key))
+  }
+
+  /**
+   * Appends the removal of a state to the log.
+   * @param {Tuple<any>} state State tuple
+   * @returns {Promise<boolean>} Whether the state was stored
+   */
+  delete (state) {
+    const key = stateKey(state)
+
+    return this._queue(async () => {
+      if (!internal(this).index.has(key)) return false
+
+      await this._append(key, [JSON.parse(key)])
+      return true
+    })
+  }
+
+  /**
+   * Iterates over the stored states, reading them one at a time.
+   * @yield {Array<any>} State tuple and weight maps
+   */
+  async * entries () {
+    for (const key of [...internal(this).index.keys()]) {
+      const state = tuple(...JSON.parse(key).map((token) => encodeToken(parseTokenString(token))))
+      const stateMaps = await this.get(state)
+      if (stateMaps) yield [state, stateMaps]
+    }
+  }
+
+  /**
+   * Rewrites the log with the latest record of each stored state.
+   * @returns {Promise<void>} Resolves once the log is replaced
+   */
+  compact () {
+    return this._queue(async () => {
+      const { file, index } = internal(this)
+      const temporary = `${file}.compact`
+      const handle = await fs.promises.open(temporary, 'w')
+      const compacted = new Map()
+      let end = 0
+
+      try {
+        for (const [key, entry] of index) {
+          const bytes = Buffer.alloc(entry.length + 1)
+          await readFully(internal(this).handle, bytes, entry.position)
+          await writeFully(handle, bytes, end)
+          compacted.set(key, { position: end, length: entry.length })
+          end += bytes.length
+        }
+      } finally {
+        await handle.close()
+      }
+
+      await internal(this).handle.close()
+      await fs.promises.rename(temporary, file)
+
+      internal(this).handle = await fs.promises.open(file, 'a+')
+      internal(this).index = compacted
+      internal(this).end = end
+    })
+  }
+
+  /**
+   * Waits for pending writes and closes the log file.
+   * @returns {Promise<void>} Resolves once closed
+   */
+  close () {
+    return this._queue(() => internal(this).handle.close())
+  }
+
+  /**
+   * Opens the log file and indexes its records.
+   * @private
+   */
+  async _load () {
+    const { file, index } = internal(this)
+    const handle = await fs.promises.open(file, 'a+')
+    internal(this).handle = handle
+
+    try {
+      const { size } = await handle.stat()
+      const chunk = Buffer.alloc(1 << 16)
+      let pending = Buffer.alloc(0)
+      let position = 0
+      let lineNumber = 0
+
+      while (position < size) {
+        const { bytesRead } = await handle.read(chunk, 0, Math.min(chunk.length, size - position), position)
+        let buffer = Buffer.concat([pending, chunk.slice(0, bytesRead)])
+        let start = position - pending.length
+        position += bytesRead
+
+        let newline
+        while ((newline = buffer.indexOf(0x0a)) !== -1) {
+          lineNumber++
+          const record = parseRecord(buffer.slice(0, newline).toString('utf8'), lineNumber)
+          const key = JSON.stringify(record[0])
+
+          if (record.length === 1) {
+            index.delete(key)
+          } else {
+            index.set(key, { position: start, length: newline })
+          }
+
+          buffer = buffer.slice(newline + 1)
+          start += newline + 1
+        }
+
+        pending = Buffer.from(buffer)
+      }
+
+      // drops a record cut short while writing
+      internal(this).end = size - pending.length
+      if (pending.length > 0) {
+        await handle.truncate(internal(this).end)
+      }
+    } catch (error) {
+      // leaves no file handle open behind a corrupt log
+      internal(this).handle = undefined
+      await handle.close()
+      throw error
+    }
+  }
+
+  /**
+   * Reads a record of the log.
+   * @private
+   * @param {object} entry Position and length of the record
+   * @returns {Promise<Array<any>>} Record
+   */
+  async _read ({ position, length }) {
+    const bytes = Buffer.alloc(length)
+    await readFully(internal(this).handle, bytes, position)
+    return JSON.parse(bytes.toString('utf8'))
+  }
+
+  /**
+   * Appends a record to the log, then indexes it, from a queued task.
+   * @private
+   * @param {string} key Index key of the state
+   * @param {Array<any>} record Record to append
+   * @returns {Promise<void>} Resolves once written
+   */
+  async _append (key, record) {
+    const bytes = Buffer.from(JSON.stringify(record) + '\n')
+    const position = internal(this).end
+
+    await writeFully(internal(this).handle, bytes, position)
+    internal(this).end += bytes.length
+
+    if (record.length === 1) {
+      internal(this).index.delete(key)
+    } else {
+      internal(this).index.set(key, { position, length: bytes.length - 1 })
+    }
+  }
+
+  /**
+   * Runs a task once the previous reads and writes are done.
+   * @private
+   * @param {Function} task Async task
+   * @returns {Promise<any>} Result of the task
+   */
+  _queue (task) {
+    const result = internal(this).queue.then(task)
+    internal(this).queue = result.catch(() => {})
+    return result
+  }
+}
+
+/**
+ * Gets the index key of a state.
+ * @param {Tuple<any>} state State tuple
+ * @returns {string} Key of the state
+ */
+function stateKey (state) {
+  return JSON.stringify([...state].map(stringifyToken))
+}
+
+/**
+ * Serialises a weight map.
+ * @param {Map<any,number>} weights Weight map
+ * @returns {Array<Array<any>>} Pairs of token string and weight
+ */
+function writeWeights (weights) {
+  return [...weights].map(([token, count]) => [stringifyToken(token), count])
+}
+
+/**
+ * Reads a serialised weight map.
+ * @param {Array<Array<any>>} pairs Pairs of token string and weight
+ * @returns {Map<any,number>} Weight map
+ */
+function readWeights (pairs) {
+  const weights = weightMap()
+  for (const [token, count] of pairs) {
+    weights.set(encodeToken(parseTokenString(token)), count)
+  }
+  return weights
+}
+
+/**
+ * Parses a line of a log file.
+ * @param {string} line Line of JSON
+ * @param {number} lineNumber Number of the line
+ * @returns {Array<any>} Record
+ */
+function parseRecord (line, lineNumber) {
+  let record
+  try {
+    record = JSON.parse(line)
+  } catch (error) {
+    throw new Error('Invalid Markov chain store. ' +
+      `Expected JSON on line ${lineNumber} but got ${error.message}`)
+  }
+
+  if (!Array.isArray(record) || !Array.isArray(record[0]) || (record.length !== 1 && record.length !== 3)) {
+    throw new Error('Invalid Markov chain store. ' +
+      `Expected a [state, next, prev] record on line ${lineNumber} but got ${line.slice(0, 40)}.`)
+  }
+
+  return record
+}
+
+/**
+ * Reads bytes from a file until the buffer is full.
+ * @param {FileHandle} handle File handle
+ * @param {Buffer} buffer Buffer to fill
+ * @param {number} position Position in the file
+ */
+async function readFully (handle, buffer, position) {
+  let offset = 0
+  while (offset < buffer.length) {
+    const { bytesRead } = await handle.read(buffer, offset, buffer.length - offset, position + offset)
+    if (bytesRead === 0) {
+      throw new Error('Invalid Markov chain store. ' +
+        `Expected ${buffer.length} bytes at ${position} but got ${offset}.`)
+    }
+    offset += bytesRead
+  }
+}
+
+/**
+ * Writes every byte of a buffer to a file.
+ * @param {FileHandle} handle File handle
+ * @param {Buffer} buffer Bytes to write
+ * @param {number} position Position in the file
+ */
+async function writeFully (handle, buffer, position) {
+  let offset = 0
+  while (offset < buffer.length) {
+    const { bytesWritten } = await handle.write(buffer, offset, buffer.length - offset, position + offset)
+    offset += bytesWritten
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore
+}
@@ -0,0 +1,118 @@
+const { StringDecoder } = require('string_decoder')
+
+/**
+ * Helpers to read chains and corpora from streams.
+ */
+const stream = exports
+
+/**
+ * Splits a source of text chunks into lines, along with their number.
+ *
+ * Accepts Node readable streams, or any (async) iterable of strings and
+ * buffers. Empty lines are skipped, but still counted, so that lines are
+ * numbered as in the source.
+ *
+ * @param {AsyncIterable<string|Buffer>|Iterable<string|Buffer>} source Text chunks
+ * @param {object} [options={}] Options object
+ * @param {AbortSignal} [options.signal] Signal to stop reading, checked before every line
+ * @yield {Array<any>} Line of text and its number, from 1
+ */
+stream.readLines = async function * readLines (source, { signal } = {}) {
+  const decoder = new StringDecoder('utf8')
+  let buffer = ''
+  let lineNumber = 0
+
+  /**
+   * Numbers lines, skipping the empty ones.
+   */
+  function * numbered (lines) {
+    for (const line of lines) {
+      if (signal && signal.aborted) {
+        throw stream.abortError('Markov chain reading aborted.')
+      }
+      lineNumber++
+      if (line.trim()) yield [line, lineNumber]
+    }
+  }
+
+  for await (const chunk of source) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk)
+    const lines = buffer.split('\n')
+    buffer = lines.pop()
+    yield * numbered(lines)
+  }
+
+  buffer += decoder.end()
+  yield * numbered([buffer])
+}
+
+/**
+ * Reads runs from a source.
+ *
+ * Sources of arrays, such as object mode streams, are read as they are, while
+ * sources of text are read as newline-delimited JSON, one run per line.
+ *
+ * @param {AsyncIterable<any>|Iterable<any>} source Runs or text chunks
+ * @param {object} [options={}] Options object
+ * @param {AbortSignal} [options.signal] Signal to stop reading text, checked before every line
+ * @yield {Array<any>} Run of tokens
+ */
+stream.readRuns = async function * readRuns (source, { signal } = {}) {
+  const iterator = source[Symbol.asyncIterator]
+    ? source[Symbol.asyncIterator]()
+    : source[Symbol.iterator]()
+
+  const first = await iterator.next()
+  if (first.done) return
+
+  const rest = { [Symbol.asyncIterator]: () => iterator }
+
+  if (Array.isArray(first.value)) {
+    yield first.value
+    for await (const run of rest) {
+      if (!Array.isArray(run)) {
+        throw new Error('Invalid Markov chain run. ' +
+          `Expected array but got ${typeof run}.`)
+      }
+      yield run
+    }
+    return
+  }
+
+  for await (const [line, lineNumber] of stream.readLines(prepend(first.value, rest), { signal })) {
+    let run
+    try {
+      run = JSON.parse(line)
+    } catch (error) {
+      throw new Error('Invalid Markov chain run. ' +
+        `Expected JSON on line ${lineNumber} but got ${error.message}`)
+    }
+    if (!Array.isArray(run)) {
+      throw new Error('Invalid Markov chain run. ' +
+        `Expected array on line ${lineNumber} but got ${typeof run}.`)
+    }
+    yield run
+  }
+}
+
+/**
+ * Creates the error thrown by aborted operations.
+ * @param {string} message Error message
+ * @returns {Error} Error named `AbortError`
+ */
+stream.abortError = function abortError (message) {
+  const error = new Error(message)
+  error.name = 'AbortError'
+  return error
+}
+
+/**
+ * Puts a value back in front of an async iterable.
+ * @param {any} value First value
+ * @param {AsyncIterable<any>} rest Remaining values
+ * @yield {any}
+ */
+async function * prepend (value, rest) {
+  yield value
+  yield * rest
+}
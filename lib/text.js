@@ -0,0 +1,119 @@
+const Chain = require('./chain')
+const tokenizer = require('./tokenizer')
+const { internal } = require('./util')
+
+/**
+ * A Markov chain of words and punctuation, built from plain text.
+ */
+class TextChain {
+  /**
+   * @param {object} [options={}] Options object, also passed to the Chain constructor
+   * @param {Chain} [options.chain] Prebuilt chain of tokens
+   * @param {string} [options.text=''] Text to build the chain from
+   * @param {number} [options.order=1] Size of the chain's memory
+   * @param {boolean} [options.useTokenMap=true] Whether to map token to states
+   * @param {boolean} [options.newline=false] Whether every line is a sentence
+   * @param {RegExp} [options.sentencePattern] Pattern of sentence boundaries
+   * @param {RegExp} [options.tokenPattern] Global pattern matching tokens
+   */
+  constructor ({ chain, text = '', newline = false, sentencePattern, tokenPattern, order = 1, useTokenMap = true, ...options } = {}) {
+    internal(this).textOptions = { newline, sentencePattern, tokenPattern }
+    internal(this).chain = chain || new Chain({
+      ...options,
+      order,
+      useTokenMap,
+      corpus: tokenizer.toRuns(text, internal(this).textOptions)
+    })
+  }
+
+  /**
+   * Underlying chain of tokens.
+   * @readonly
+   * @type {Chain}
+   */
+  get chain () {
+    return internal(this).chain
+  }
+
+  /**
+   * Creates a TextChain from plain text.
+   *
+   * @static
+   * @param {string} text Text to build the chain from
+   * @param {object} [options] Additional options to TextChain constructor
+   * @returns {TextChain} A new text chain instance
+   */
+  static fromText (text, options) {
+    return new TextChain({ ...options, text })
+  }
+
+  /**
+   * Splits text into runs with the options of this chain.
+   *
+   * @param {string} text Input text
+   * @returns {Array<string[]>} Runs of tokens
+   */
+  tokenize (text) {
+    return tokenizer.toRuns(text, internal(this).textOptions)
+  }
+
+  /**
+   * Seeds the chain with more text.
+   *
+   * @param {string} text Text to learn from
+   */
+  addText (text) {
+    for (const run of this.tokenize(text)) {
+      Chain.seed(run, this.chain)
+    }
+  }
+
+  /**
+   * Generates a sentence, optionally related to a prompt.
+   *
+   * With `options.details`, the details of `Chain#run` are returned with a
+   * `sentence` property in place of their steps.
+   *
+   * @param {string} [prompt=''] Text whose tokens may start the sentence
+   * @param {object} [options] Additional options to `Chain#run`
+   * @returns {string|object} Generated sentence, or `null` when `Chain#run` fails its limits, or details
+   */
+  makeSentence (prompt = '', options = {}) {
+    const tokens = [].concat(...this.tokenize(prompt))
+    const result = this.chain.run({ ...options, tokens })
+
+    if (options.details) {
+      const { steps, ...details } = result
+      return { sentence: steps === null ? null : tokenizer.detokenize([].concat(...steps)), ...details }
+    }
+
+    if (result === null) {
+      return null
+    }
+
+    return tokenizer.detokenize([].concat(...result))
+  }
+
+  /**
+   * Serialises the underlying chain, see `Chain#toJSON`.
+   *
+   * @returns {object} JSON object
+   */
+  toJSON () {
+    return this.chain.toJSON()
+  }
+
+  /**
+   * Creates a TextChain from a JSON string.
+   *
+   * @static
+   * @param {string|object} jsonChain A chain serialised with `TextChain#toJSON`
+   * @param {object} [options] Additional options to TextChain and Chain constructors
+   * @returns {TextChain} A new text chain instance
+   */
+  static fromJSON (jsonChain, options = {}) {
+    return new TextChain({ ...options, chain: Chain.fromJSON(jsonChain, options) })
+  }
+}
+
+module.exports = TextChain
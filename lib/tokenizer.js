@@ -0,0 +1,103 @@
+/**
+ * Helpers to turn text into runs of tokens and back.
+ */
+const tokenizer = exports
+
+/**
+ * Default pattern of sentence boundaries: whitespace after an ending mark,
+ * but not after initials or abbreviations like "Mr.", followed by what looks
+ * like the start of a new sentence. Blank lines always are boundaries.
+ * @type {RegExp}
+ */
+tokenizer.SENTENCE_PATTERN = /(?<!(?:^|[^\p{L}])\p{Lu}\p{Ll}?\.)(?<=[.!?…]+["'”’)\]]*)\s+(?=["'“‘([]*[\p{Lu}\p{N}])|\n\s*\n/u
+
+/**
+ * Default pattern of tokens: words and numbers, with inner apostrophes,
+ * hyphens and dots, or runs of a single punctuation mark.
+ * @type {RegExp}
+ */
+tokenizer.TOKEN_PATTERN = /[\p{L}\p{N}_]+(?:['’.\-@][\p{L}\p{N}_]+)*|([^\s\p{L}\p{N}_])\1*/gu
+
+const closing = /^(?:[.,!?;:%)\]}…»]+|'s|’s|n't|n’t)$/
+const opening = /^[([{¿¡«$#@]+$/
+const quotes = /^["“”]$/
+
+/**
+ * Splits text into sentences.
+ *
+ * @param {string} text Input text
+ * @param {object} [options={}] Options object
+ * @param {boolean} [options.newline=false] Whether every line is a sentence
+ * @param {RegExp} [options.sentencePattern=tokenizer.SENTENCE_PATTERN] Pattern of sentence boundaries
+ * @returns {string[]} Non-empty sentences
+ */
+tokenizer.splitSentences = function splitSentences (text, { newline = false, sentencePattern = tokenizer.SENTENCE_PATTERN } = {}) {
+  return text
+    .split(newline ? /\r?\n/ : sentencePattern)
+    .filter((sentence) => typeof sentence === 'string')
+    .map((sentence) => sentence.trim())
+    .filter((sentence) => sentence.length > 0)
+}
+
+/**
+ * Splits a sentence into word and punctuation tokens.
+ *
+ * @param {string} sentence Input sentence
+ * @param {object} [options={}] Options object
+ * @param {RegExp} [options.tokenPattern=tokenizer.TOKEN_PATTERN] Global pattern matching tokens
+ * @returns {string[]} Tokens
+ */
+tokenizer.tokenize = function tokenize (sentence, { tokenPattern = tokenizer.TOKEN_PATTERN } = {}) {
+  return sentence.match(tokenPattern) || []
+}
+
+/**
+ * Splits text into runs of tokens, one run per sentence.
+ *
+ * @param {string} text Input text
+ * @param {object} [options={}] Options to `splitSentences` and `tokenize`
+ * @returns {Array<string[]>} Runs of tokens
+ */
+tokenizer.toRuns = function toRuns (text, options = {}) {
+  return tokenizer.splitSentences(text, options)
+    .map((sentence) => tokenizer.tokenize(sentence, options))
+    .filter((run) => run.length > 0)
+}
+
+/**
+ * Joins tokens back into text, spacing punctuation properly.
+ *
+ * Closing marks stick to the token before them, opening marks to the token
+ * after them, and straight double quotes alternate between both.
+ *
+ * @param {Array<any>} tokens Input tokens
+ * @returns {string} Text
+ */
+tokenizer.detokenize = function detokenize (tokens) {
+  let text = ''
+  let glueNext = true
+  let openQuote = false
+
+  for (const token of tokens.map(String)) {
+    let glue = glueNext
+    glueNext = false
+
+    if (quotes.test(token)) {
+      const opens = token === '“' || (token === '"' && !openQuote)
+      openQuote = opens
+      if (opens) {
+        glueNext = true
+      } else {
+        glue = true
+      }
+    } else if (closing.test(token)) {
+      glue = true
+    } else if (opening.test(token)) {
+      glueNext = true
+    }
+
+    text += glue ? token : ` ${token}`
+  }
+
+  return text
+}
@@ -16,13 +16,14 @@ util.internal = function internal (instance) {
  * Returns a random array element.
  * @param {any[]} arr - Array-like input
  * @param {number[]} [weights] - Weight of elements
+ * @param {Function} [random=Math.random] - Random number generator
  * @returns {any} A random element
  */
-util.randomElement = function randomElement (arr, weights) {
+util.randomElement = function randomElement (arr, weights, random = Math.random) {
   if (weights && weights.length === arr.length) {
-    return arr[util.weightedPick(weights)]
+    return arr[util.weightedPick(weights, random)]
   }
-  return arr[util.randomInt(arr.length)]
+  return arr[util.randomInt(arr.length, 0, random)]
 }
 
 /**
@@ -50,25 +51,125 @@ util.bisect = function bisect (a, x, lo = 0, hi = a.length) {
 
 /**
  * Picks a random index considering their weights.
+ *
+ * Weights may be fractional; indices of zero weights are never picked.
+ *
  * @param {number[]} weights
+ * @param {Function} [random=Math.random] Random number generator
  * @returns {number} Random index
  */
-util.weightedPick = function weightedPick (weights) {
-  const distributionSum = weights.reduce((result, weight) => {
-    const sum = util.last(result) || 0
-    return result.concat(sum + weight)
-  }, [])
-  return util.bisect(distributionSum, Math.random() * util.last(distributionSum))
+util.weightedPick = function weightedPick (weights, random = Math.random) {
+  return util.cumulativePick(util.cumulativeSum(weights), random)
+}
+
+/**
+ * Builds the cumulative distribution of weights.
+ * @param {Iterable<number>} weights
+ * @returns {number[]} Running sums of weights
+ */
+util.cumulativeSum = function cumulativeSum (weights) {
+  const distributionSum = []
+  let sum = 0
+  for (const weight of weights) {
+    sum += weight
+    distributionSum.push(sum)
+  }
+  return distributionSum
+}
+
+/**
+ * Picks a random index from a cumulative distribution.
+ * @param {number[]} distributionSum Running sums of weights
+ * @param {Function} [random=Math.random] Random number generator
+ * @returns {number} Random index
+ */
+util.cumulativePick = function cumulativePick (distributionSum, random = Math.random) {
+  const total = util.last(distributionSum)
+  const index = util.bisect(distributionSum, random() * total)
+
+  // rounding can bring the scaled random number up to the total
+  return index < distributionSum.length ? index : distributionSum.indexOf(total)
 }
 
 /**
  * Picks a random number between min and max non-inclusive
  * @param {number} max
  * @param {number} [min=0]
+ * @param {Function} [random=Math.random] Random number generator
  * @returns {number} Random number
  */
-util.randomInt = function randomInt (max, min = 0) {
+util.randomInt = function randomInt (max, min = 0, random = Math.random) {
   min = Math.ceil(min)
   max = Math.floor(max)
-  return Math.floor(Math.random() * (max - min)) + min
+  return Math.floor(random() * (max - min)) + min
+}
+
+/**
+ * Shuffles an array in place.
+ * @param {any[]} arr - Input array
+ * @param {Function} [random=Math.random] Random number generator
+ * @returns {any[]} The shuffled array
+ */
+util.shuffle = function shuffle (arr, random = Math.random) {
+  for (let i = arr.length - 1; i > 0; --i) {
+    const j = util.randomInt(i + 1, 0, random)
+    const tmp = arr[i]
+    arr[i] = arr[j]
+    arr[j] = tmp
+  }
+  return arr
+}
+
+/**
+ * Reshapes a weight distribution with sampling controls.
+ *
+ * Weights below `minCount` are dropped first, then the temperature is
+ * applied, and lastly the `topK` heaviest choices are kept, further cut down
+ * to the smallest set whose probability mass reaches `topP`. A temperature of
+ * zero keeps only the heaviest choices.
+ *
+ * @param {any[]} choices
+ * @param {number[]} weights
+ * @param {object} [options={}] Sampling controls
+ * @param {number} [options.temperature=1] Sharpens (< 1) or flattens (> 1) weights
+ * @param {number} [options.topK=Infinity] Maximum number of choices to keep
+ * @param {number} [options.topP=1] Probability mass to keep
+ * @param {number} [options.minCount=0] Minimum raw weight of a choice
+ * @returns {Array<Array<any>>} Remaining choices and their new weights
+ */
+util.adjustWeights = function adjustWeights (choices, weights, { temperature = 1, topK = Infinity, topP = 1, minCount = 0 } = {}) {
+  let entries = choices
+    .map((choice, i) => [choice, weights[i]])
+    .filter(([, weight]) => weight >= minCount)
+
+  if (entries.length > 0 && temperature !== 1) {
+    const max = Math.max(...entries.map(([, weight]) => weight))
+    if (temperature === 0) {
+      entries = entries.filter(([, weight]) => weight === max)
+    } else {
+      entries = entries.map(([choice, weight]) => {
+        return [choice, Math.pow(weight / max, 1 / temperature)]
+      })
+    }
+  }
+
+  if (topK < entries.length || topP < 1) {
+    entries = entries
+      .map((entry, i) => [entry, i])
+      .sort(([a, i], [b, j]) => (b[1] - a[1]) || (i - j))
+      .map(([entry]) => entry)
+      .slice(0, topK)
+
+    if (topP < 1) {
+      const mass = topP * entries.reduce((sum, [, weight]) => sum + weight, 0)
+      let sum = 0
+      let size = 0
+      while (size < entries.length && sum < mass) {
+        sum += entries[size++][1]
+      }
+      entries = entries.slice(0, size)
+    }
+  }
+
+  return [entries.map(([choice]) => choice), entries.map(([, weight]) => weight)]
 }
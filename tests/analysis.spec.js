@@ -0,0 +1,45 @@
+const test = require('tape')
+const { tuple } = require('immutable-tuple')
+
+const { Chain, analysis } = require('../lib')
+const { BEGIN, END } = require('../lib/model')
+
+const close = (a, b) => Math.abs(a - b) < 1e-6
+
+test('chain analysis', (t) => {
+  t.plan(8)
+
+  const chain = new Chain({ corpus: [['a', 'b'], ['a', 'c'], ['a', 'b', 'a', 'b']] })
+
+  const { states, matrix } = analysis.transitionMatrix(chain, { dense: true })
+  t.same(states, [tuple(BEGIN), tuple('a'), tuple('b'), tuple('c'), END], 'states should be listed with END last')
+  t.same(matrix[1], [0, 0, 0.75, 0.25, 0], 'rows should hold transition probabilities')
+  t.same(analysis.transitionMatrix(chain).matrix[1], [[2, 0.75], [3, 0.25]], 'sparse rows should hold the known transitions')
+
+  const stats = analysis.stateStats(chain).get(tuple('b'))
+  t.ok(stats.branching === 2 && close(stats.entropy, 0.9182958), 'states should have their branching factor and entropy')
+
+  t.ok(close(analysis.expectedLength(chain), 8 / 3), 'the expected length should match the corpus')
+
+  t.equal(analysis.stationaryDistribution(chain).size, 0, 'runs ending for sure should have no recurrent states')
+  const visits = analysis.stationaryDistribution(chain, { restart: true })
+  t.ok(close(visits.get(tuple('a')), 4 / 11) && close(visits.get(tuple('c')), 1 / 11), 'restarted runs should visit states by frequency')
+
+  const summary = analysis.summary(chain)
+  t.same([summary.states, summary.transitions, summary.unreachable, summary.deadEnd], [4, 6, 0, 0], 'chains should be summarised')
+})
+
+test('chain analysis of broken models', (t) => {
+  t.plan(3)
+
+  const chain = new Chain({ corpus: [['a', 'b']], order: 1 })
+  const [next] = chain.model.get(tuple('a', 'b'))
+  next.delete(END)
+  next.set('a', 1)
+  chain.model.set(tuple('b', 'a'), chain.model.get(tuple(BEGIN, 'a')))
+  chain.model.delete(tuple(BEGIN, 'a'))
+
+  t.same(analysis.unreachableStates(chain), [tuple('a', 'b'), tuple('b', 'a')], 'states out of reach of the initial state should be found')
+  t.same(analysis.deadEndStates(chain), [tuple(BEGIN, BEGIN), tuple('a', 'b'), tuple('b', 'a')], 'states never reaching END should be found')
+  t.equal(analysis.expectedLength(chain), Infinity, 'runs never ending should be infinite')
+})
@@ -0,0 +1,31 @@
+const test = require('tape')
+
+const { Bot, Chain } = require('../lib')
+
+const corpus = [
+  ['cats', 'like', 'milk'],
+  ['cats', 'like', 'fish'],
+  ['dogs', 'like', 'bones'],
+  ['dogs', 'chase', 'cats'],
+  ['birds', 'sing', 'songs']
+]
+
+test('bot replies', (t) => {
+  t.plan(6)
+
+  const bot = new Bot({ corpus, random: 1, stopwords: ['like'] })
+  const reply = bot.reply(['birds'], { conversation: 'a' })
+  t.same(reply, ['birds', 'sing', 'songs'], 'replies should share keywords with the prompt')
+  t.same(bot.context('a'), ['birds', 'birds', 'sing', 'songs'], 'conversations should remember both sides')
+  t.same(bot.context('b'), [], 'conversations should be separate')
+
+  const replies = [...Array(2)].map(() => bot.reply(['cats'], { conversation: 'b' }).join(' '))
+  t.same(replies.sort(), ['cats like fish', 'cats like milk'], 'recent replies should not be repeated')
+
+  bot.reset('b')
+  t.same(bot.context('b'), [], 'conversations should be forgotten')
+
+  const learner = new Bot({ chain: new Chain({ order: 1, useTokenMap: true, random: 1 }), learn: true })
+  learner.reply('Fish swim fast.')
+  t.equal(learner.reply('Fish!'), 'Fish swim fast.', 'bots should learn from text messages')
+})
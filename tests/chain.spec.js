@@ -1,6 +1,9 @@
 const test = require('tape')
+const { tuple } = require('immutable-tuple')
 
 const { Chain } = require('../lib')
+const { BEGIN, stringifyToken } = require('../lib/model')
+const { weightedPick } = require('../lib/util')
 
 const corpus = [
   ['Hello', 'world', 'of', 'Markov', 'chains'],
@@ -25,3 +28,515 @@ test('chain serialisation', (t) => {
   t.same(generated.tokenMap, original.tokenMap, 'generated chain token map should be the same as the original')
   t.same(serialised, JSON.stringify(generated), 'generated chain model should be the same as the original')
 })
+
+test('chain random source', (t) => {
+  t.plan(4)
+
+  const options = { corpus, order: 1, useTokenMap: true }
+  const tokens = ['can']
+
+  const first = new Chain({ ...options, random: 42 })
+  const second = new Chain({ ...options, random: 42 })
+
+  const runs = Array.from({ length: 5 }, () => first.run({ tokens }))
+  t.same(runs, Array.from({ length: 5 }, () => second.run({ tokens })), 'chains with the same seed should produce the same runs')
+
+  const state = first.random.state
+  const replayed = first.run({ tokens })
+  first.random.state = state
+  t.same(first.run({ tokens }), replayed, 'restoring the generator state should replay a run')
+
+  const chain = new Chain(options)
+  t.same(chain.run({ tokens, random: 7 }), chain.run({ tokens, random: 7 }), 'runs with the same seed should be equal')
+
+  const calls = []
+  const custom = () => { calls.push(1); return 0 }
+  chain.run({ tokens, random: custom })
+  t.ok(calls.length > 0, 'custom generator should be used')
+})
+
+test('chain sampling controls', (t) => {
+  t.plan(5)
+
+  const chain = new Chain({
+    corpus: [
+      ['a', 'b', 'c'],
+      ['a', 'b', 'c'],
+      ['a', 'b', 'd'],
+      ['a', 'e']
+    ]
+  })
+
+  t.same(chain.run({ temperature: 0 }), [[], [], ['a', 'b', 'c']], 'zero temperature should always pick the most common step')
+  t.same(chain.run({ topK: 1, random: 3 }), [[], [], ['a', 'b', 'c']], 'top-k of one should pick the most common step')
+  t.same(chain.run({ topP: 0.5, random: 3 }), [[], [], ['a', 'b', 'c']], 'top-p should drop the least common steps')
+  t.same([...chain.walkForward(undefined, { minCount: 5 })], [], 'steps below the minimum count should be ignored')
+  t.throws(() => chain.run({ topP: 2 }), /Invalid sampling cutoff/, 'invalid cutoffs should be rejected')
+})
+
+test('chain scoring', (t) => {
+  t.plan(5)
+
+  const chain = new Chain({
+    corpus: [
+      ['a', 'b'],
+      ['a', 'c'],
+      ['d']
+    ]
+  })
+
+  const score = chain.score(['a', 'b'])
+  t.equal(score.steps.length, 3, 'every token and the END should be scored')
+  t.same(score.steps.map((s) => s.probability), [2 / 3, 1 / 2, 1], 'steps should be scored by transition counts')
+  t.ok(Math.abs(score.logProb - Math.log(1 / 3)) < 1e-12, 'log-probability should be the sum of the steps')
+  t.equal(chain.score(['a', 'd']).logProb, -Infinity, 'unseen transitions should have zero probability')
+
+  const smoothed = chain.score(['a', 'd'], { smoothing: 1 })
+  t.ok(Number.isFinite(smoothed.logProb) && smoothed.perplexity > score.perplexity, 'smoothing should give unseen transitions some probability')
+})
+
+test('chain unseeding', (t) => {
+  t.plan(5)
+
+  const options = { corpus, order: 1, useTokenMap: true }
+  const chain = new Chain(options)
+  const before = JSON.stringify(chain)
+  const tokenMap = new Map([...chain.tokenMap].map(([k, v]) => [k, new Set(v)]))
+  const run = ['Hello', 'can', 'be', 'rude', 'words']
+
+  Chain.seed(run, chain)
+  t.notEqual(JSON.stringify(chain), before, 'seeding should change the model')
+
+  chain.forget(run)
+  t.equal(JSON.stringify(chain), before, 'unseeding should restore the model')
+  t.same(chain.tokenMap, tokenMap, 'unseeding should restore the token map')
+
+  Chain.unseed(corpus[0], chain)
+  t.notOk([...Array(20)].some(() => chain.run({ tokens: ['world'] })[2].includes('Markov')), 'forgotten transitions should not be produced')
+
+  t.throws(() => chain.forget(['never', 'seen']), /Invalid Markov chain run/, 'unknown runs should be rejected')
+})
+
+test('chain pruning', (t) => {
+  t.plan(9)
+
+  const runs = [
+    ['a', 'b', 'c'],
+    ['a', 'b', 'c'],
+    ['a', 'x', 'c'],
+    ['y', 'b', 'z'],
+    ['a', 'b', 'c', 'w']
+  ]
+
+  /**
+   * Tests whether every next transition is a previous one of its target.
+   */
+  function symmetric ({ model }) {
+    return [...model].every(([state, [next]]) => [...next].every(([token, count]) => {
+      const target = model.get(tuple(...state.slice(1), token))
+      return typeof token === 'symbol' || (target && target[1].get(state[0]) === count)
+    }))
+  }
+
+  /**
+   * Tests whether every transition leads to a known state.
+   */
+  function walkable ({ model }) {
+    return [...model].every(([state, [next, prev]]) => {
+      return [...next.keys()].every((token) => typeof token === 'symbol' || model.has(tuple(...state.slice(1), token))) &&
+        [...prev.keys()].every((token) => typeof token === 'symbol' || model.has(tuple(token, ...state.slice(0, -1))))
+    })
+  }
+
+  const chain = new Chain({ corpus: runs, order: 1, useTokenMap: true })
+  const removed = chain.prune({ minCount: 2 })
+
+  t.ok(removed > 0, 'pruning should remove states')
+  t.ok([...chain.model.values()].every(([next, prev]) => {
+    return [...next.values(), ...prev.values()].every((count) => count >= 2)
+  }), 'rare transitions should be removed')
+  t.same(chain.tokenMap, new Chain({ model: chain.model, useTokenMap: true }).tokenMap, 'token map should match the pruned model')
+  t.ok(walkable(chain), 'pruned chain should stay walkable')
+
+  const limited = new Chain({ corpus: runs, order: 1, limits: { maxStates: 4, maxTransitionsPerState: 1 } })
+  t.ok(limited.model.size <= 4 && [...limited.model.values()].every(([next]) => next.size <= 1), 'constructor limits should be enforced')
+
+  Chain.seed(['q', 'r', 's', 't'], limited)
+  t.ok(limited.model.size <= 4 && walkable(limited), 'limits should be enforced while seeding')
+
+  const crossed = [['a', 'b', 'd'], ['a', 'b', 'd'], ['a', 'b', 'c'], ['x', 'b', 'd'], ['x', 'b', 'd'], ['x', 'b', 'd']]
+  const narrow = new Chain({ corpus: crossed, order: 1, limits: { maxTransitionsPerState: 1 } })
+  Chain.seed(['a', 'b', 'c'], narrow)
+  t.ok(symmetric(narrow), 'transitions should be dropped from both of their states')
+
+  const backoff = new Chain({ corpus: runs, order: 1, variableOrder: true, limits: { maxStates: 5 } })
+  Chain.seed(['q', 'r'], backoff)
+  const rebuilt = new Chain({ model: backoff.model, variableOrder: true })
+  const counts = (model) => [...model].map(([state, maps]) => JSON.stringify([
+    [...state].map(stringifyToken),
+    ...maps.map((weights) => [...weights].map(([token, count]) => [stringifyToken(token), count]).sort())
+  ])).sort()
+  t.same(counts(backoff.models[0]), counts(rebuilt.models[0]), 'lower order models should follow seeding at capacity')
+
+  /**
+   * Tests whether every state can walk to an END and back to a BEGIN.
+   */
+  function reachable ({ model }) {
+    return [...model.keys()].every((state) => [0, 1].every((index) => {
+      const seen = new Set([state])
+      const queue = [state]
+      while (queue.length > 0) {
+        const current = queue.pop()
+        for (const token of model.get(current)[index].keys()) {
+          if (typeof token === 'symbol') return true
+          const target = index === 0 ? tuple(...current.slice(1), token) : tuple(token, ...current.slice(0, -1))
+          if (model.has(target) && !seen.has(target)) {
+            seen.add(target)
+            queue.push(target)
+          }
+        }
+      }
+      return false
+    }))
+  }
+
+  const looping = new Chain({ order: 1, limits: { maxStates: 15, maxTransitionsPerState: 2 } })
+  const seeds = [['c', 'd', 'c'], ['b', 'd', 'b'], ['d', 'b', 'b'], ['d', 'e', 'd', 'e']]
+  seeds.forEach((run) => Chain.seed(run, looping))
+  t.ok(looping.model.size > 0 && reachable(looping), 'seeding past the limits should not strand loops')
+})
+
+test('chain variable order', (t) => {
+  t.plan(6)
+
+  /**
+   * Lists the states and transitions of a model in a comparable way.
+   */
+  function dump (model) {
+    return JSON.stringify([...model].map(([state, maps]) => {
+      return [[...state].map(stringifyToken), maps.map((weights) => {
+        return [...weights].map(([token, count]) => [stringifyToken(token), count]).sort()
+      })]
+    }).sort())
+  }
+
+  const chain = new Chain({ corpus, order: 2, variableOrder: true, backoffWeights: [1, 0.5] })
+
+  t.ok([0, 1].every((k) => dump(chain.models[k]) === dump(new Chain({ corpus, order: k }).model)), 'lower order models should match chains of lower order')
+
+  Chain.seed(['These', 'can', 'use', 'more', 'data'], chain)
+  const seeded = new Chain({ corpus: [...corpus, ['These', 'can', 'use', 'more', 'data']], order: 1 })
+  t.equal(dump(chain.models[1]), dump(seeded.model), 'seeding should update lower order models')
+
+  const fixed = new Chain({ corpus: [['a', 'b', 'c', 'd']], order: 2 })
+  const backoff = new Chain({ corpus: [['a', 'b', 'c', 'd']], order: 2, variableOrder: true })
+  t.same(fixed.run({ tokens: ['c'], runMissingTokens: false }), [[], [], []], 'fixed order chains should miss unseen states')
+  t.same(backoff.run({ tokens: ['c'], runMissingTokens: false }), [['a', 'b'], ['c'], ['d']], 'variable order chains should back off to lower orders')
+
+  const generated = Chain.fromJSON(JSON.stringify(chain))
+  t.ok([0, 1, 2].every((k) => dump(generated.models[k]) === dump(chain.models[k])), 'serialisation should restore every order')
+  t.same(generated.backoffWeights, [1, 0.5], 'serialisation should restore the backoff weights')
+})
+
+test('chain output filters', (t) => {
+  t.plan(9)
+
+  const runs = [
+    ['the', 'cat', 'sat', 'on', 'the', 'mat'],
+    ['the', 'dog', 'sat', 'on', 'the', 'rug'],
+    ['a', 'cat', 'ran', 'to', 'the', 'dog']
+  ]
+  const chain = new Chain({ corpus: runs, keepCorpus: true, random: 1 })
+
+  t.equal(chain.corpus.size, 3, 'chain should keep its corpus')
+
+  const filtered = [...Array(10)]
+    .map(() => chain.run({ maxOverlapRatio: 0.5, tries: 50 }))
+    .filter((res) => res !== null)
+  t.notOk(filtered.some((res) => chain.corpus.overlaps([].concat(...res), { maxOverlapRatio: 0.5 })), 'runs should not copy the corpus')
+
+  const bounded = chain.run({ minLength: 5, maxLength: 7, tries: 100 })
+  t.ok(bounded && [].concat(...bounded).length >= 5 && [].concat(...bounded).length <= 7, 'runs should respect length bounds')
+  t.equal(chain.run({ minLength: 100 }), null, 'runs should fail after all tries')
+
+  const generated = Chain.fromJSON(JSON.stringify(chain))
+  t.same([...generated.corpus], runs, 'corpus should survive serialisation')
+
+  t.throws(() => new Chain({ corpus: runs }).run({ maxOverlapTotal: 3 }), /Missing Markov chain corpus/, 'overlap limits should need a corpus')
+
+  const kept = new Chain({ corpus: [['p', 'q', 'a', 'b']], keepCorpus: true }).corpus
+  t.ok(kept.overlaps(['x', 'q', 'a', 'b'], { maxOverlapTotal: 2 }), 'overlaps at the end of runs should be found')
+  t.notOk(kept.overlaps(['x', 'y', 'a', 'b'], { maxOverlapTotal: 2 }), 'overlaps of exactly the limit should be allowed')
+  t.same([kept.overlaps(['x', 'y'], { maxOverlapTotal: 0 }), kept.overlaps(['x', 'b'], { maxOverlapTotal: 0 })], [false, true], 'no overlap should be allowed with a limit of 0')
+})
+
+test('chain combination', (t) => {
+  t.plan(8)
+
+  const first = new Chain({ corpus: corpus.slice(0, 2), order: 1, useTokenMap: true })
+  const second = new Chain({ corpus: corpus.slice(2), order: 1 })
+  const whole = new Chain({ corpus, order: 1, useTokenMap: true })
+
+  const merged = Chain.combine([first, second])
+  t.equal(JSON.stringify(merged), JSON.stringify(whole), 'merged chains should match a chain of both corpora')
+  t.same(merged.tokenMap, whole.tokenMap, 'merged chains should have a token map if any input has one')
+
+  const weighted = Chain.combine([first, second], [0.7, 0.3])
+  t.equal(weighted.model.get(tuple('This', 'can'))[0].get('be'), 0.3, 'counts should be weighted')
+
+  t.throws(() => Chain.combine([first, new Chain({ corpus, order: 2 })]), /Inconsistent Markov chain order/, 'chains of different order should be rejected')
+
+  const mixture = Chain.combine([first, second], [1, 1], { lazy: true, random: 4 })
+  t.equal(JSON.stringify(mixture), JSON.stringify(merged), 'mixtures should read through their chains')
+
+  const tokens = new Set([].concat(...[...Array(30)].map(() => [].concat(...mixture.run()))))
+  t.ok(tokens.has('Hello') && tokens.has('can'), 'mixtures should sample from every chain')
+
+  const rare = new Chain({ corpus: [['x', 'b']], order: 1 })
+  const common = new Chain({ corpus: [...Array(9)].map(() => ['x', 'c']), order: 1 })
+  const blended = Chain.combine([rare, common], [1, 1], { lazy: true })
+  const steps = [0.05, 0.15, 0.5].map((r) => blended._step(tuple(BEGIN, 'x'), true, { random: () => r }))
+  t.same(steps, ['b', 'c', 'c'], 'mixtures should sample from the blended step weights')
+
+  const faded = new Chain({ corpus: [['x', 'b'], ['x', 'b']], order: 1, decay: { halfLife: 1 } })
+  faded.tick(2)
+  const fresh = new Chain({ corpus: [['x', 'c']], order: 1, decay: { halfLife: 3 } })
+  const decayed = Chain.combine([faded, fresh], [1, 2], { lazy: true })
+  const eager = Chain.combine([faded, fresh], [1, 2])
+  t.same([...decayed._stepWeights(tuple(BEGIN, 'x'))], [...eager._stepWeights(tuple(BEGIN, 'x'))], 'mixtures should blend decayed chains as combined chains do')
+})
+
+test('chain beam search', (t) => {
+  t.plan(6)
+
+  const chain = new Chain({
+    corpus: [
+      ['a', 'b', 'c'],
+      ['a', 'b', 'c'],
+      ['a', 'b', 'c'],
+      ['a', 'b', 'd'],
+      ['a', 'e']
+    ]
+  })
+
+  const [best] = chain.mostLikely()
+  t.same(best.steps, [[], [], ['a', 'b', 'c']], 'the most likely run should be found')
+  t.ok(Math.abs(best.probability - 0.6) < 1e-12, 'runs should have their probability')
+
+  const runs = chain.mostLikely({ n: 3 })
+  t.same(runs.map((r) => r.probability.toFixed(2)), ['0.60', '0.20', '0.20'], 'the top runs should be sorted by probability')
+
+  const [prompted] = chain.mostLikely({ tokens: ['b'] })
+  t.same(prompted.steps, [['a'], ['b'], ['c']], 'runs should search back and forth from the tokens')
+
+  const dead = new Chain({ corpus: [['a', 'b'], ['a', 'b'], ['a', 'c']] })
+  dead.model.delete(tuple('b'))
+  t.same(dead.mostLikely({ n: 5 }).map((r) => r.steps), [[[], [], ['a', 'c']]], 'dead ends should not be reported as runs')
+
+  const greeting = new Chain({ corpus: [['Hi'], ['hi'], ['hi']], normalize: 'lowercase', surfaceForm: 'sample', random: 1 })
+  const greetings = new Set([...Array(10)].map(() => greeting.mostLikely()[0].steps[2][0]))
+  t.same([...greetings], ['hi'], 'searches should decode the most frequent surface form')
+})
+
+test('chain constrained generation', (t) => {
+  t.plan(9)
+
+  const chain = new Chain({
+    corpus: [
+      ['the', 'cat', 'sat', 'on', 'the', 'mat'],
+      ['the', 'dog', 'sat', 'on', 'the', 'rug'],
+      ['a', 'cat', 'ran', 'to', 'the', 'dog']
+    ],
+    random: 3
+  })
+
+  const banned = [...Array(20)].map(() => [].concat(...chain.run({ banned: ['cat'] })))
+  t.notOk(banned.some((run) => run.includes('cat')), 'runs should never step to banned tokens')
+
+  const required = chain.run({ required: ['dog'], tries: 50 })
+  t.ok([].concat(...required).includes('dog'), 'runs should contain required tokens')
+
+  const final = chain.run({ final: 'rug', tries: 50 })
+  t.equal([].concat(...final).pop(), 'rug', 'runs should end with the final token')
+
+  t.equal(chain.run({ required: ['bird'] }), null, 'unknown required tokens should fail fast')
+  t.equal(chain.run({ required: ['cat'], banned: ['cat'] }), null, 'impossible constraints should fail')
+
+  t.equal(chain.run({ required: ['bird'], details: true }).rejected, 'unknown', 'failures should tell unknown tokens apart')
+  t.same(chain.run({ required: ['cat'], banned: ['cat'], details: true }), { steps: null, stopped: { back: 'end', forward: 'end' }, rejected: 'banned' }, 'failures should tell the limit the last attempt broke')
+
+  const blocked = new Chain({ corpus: [['a']] })
+  t.equal(blocked.run({ banned: ['a'], details: true }).rejected, 'length', 'empty runs should be rejected by default')
+  t.same(blocked.run({ banned: ['a'], minLength: 0 }), [[], [], []], 'empty runs should pass when `minLength` is 0')
+})
+
+test('chain bridges', (t) => {
+  t.plan(5)
+
+  const chain = new Chain({
+    corpus: [
+      ['the', 'cat', 'sat', 'on', 'the', 'mat'],
+      ['a', 'cat', 'ran', 'to', 'the', 'dog', 'sat'],
+      ['a', 'bird', 'flew']
+    ],
+    order: 2,
+    random: 5
+  })
+
+  t.same(chain.bridge(['cat'], ['mat']), ['cat', 'sat', 'on', 'the', 'mat'], 'bridges should join both runs')
+  t.same(chain.bridge(['a', 'cat'], ['dog']), ['a', 'cat', 'ran', 'to', 'the', 'dog'], 'bridges should follow the order of the chain')
+  t.same(chain.bridge([], ['cat', 'ran']), ['a', 'cat', 'ran'], 'bridges should start at the initial state without tokens')
+  t.equal(chain.bridge(['cat'], ['bird']), null, 'unreachable runs should not be bridged')
+  t.equal(chain.bridge(['cat'], ['mat'], { maxLength: 2 }), null, 'bridges should respect their maximum length')
+})
+
+test('chain object tokens', (t) => {
+  t.plan(6)
+
+  const unordered = new Chain({ corpus: [['x', { a: 1, b: 2 }], ['x', { b: 2, a: 1 }]] })
+  t.equal(unordered.model.get(tuple('x'))[0].size, 1, 'objects should be equal whatever the order of their keys')
+
+  const rich = { at: new Date(0), missing: undefined, ratio: NaN, $ref: 'x' }
+  const [, , [step]] = new Chain({ corpus: [[rich]] }).run()
+  t.same(Object.keys(step).sort(), ['$ref', 'at', 'missing', 'ratio'], 'keys should be kept, even undefined ones')
+  t.ok(step.at instanceof Date && step.at.getTime() === 0 && Number.isNaN(step.ratio), 'dates and non-finite numbers should be kept')
+
+  const tokenKey = (event) => event.type
+  const events = [
+    [{ type: 'open', at: 1 }, { type: 'click', at: 2 }],
+    [{ type: 'open', at: 3 }, { type: 'click', at: 4 }, { type: 'close', at: 5 }]
+  ]
+  const chain = new Chain({ corpus: events, tokenKey, random: 1 })
+  t.equal(chain.model.get(tuple(chain.tokenCodec.encode({ type: 'open' })))[0].size, 1, 'tokens should be keyed by their token key')
+  t.same([].concat(...chain.run({ tokens: [{ type: 'click', at: 9 }] }))[0], { type: 'open', at: 1 }, 'walks should return original tokens')
+
+  const restored = Chain.fromJSON(JSON.stringify(chain), { tokenKey })
+  t.same(restored.run({ final: { type: 'close' }, tries: 20 }), [[], [], [events[0][0], events[0][1], events[1][2]]], 'original tokens should be serialised')
+})
+
+test('chain token normalization', (t) => {
+  t.plan(7)
+
+  const runs = [['Hello', 'world'], ['hello', 'there'], ['HELLO', 'world'], ['hello', 'World']]
+  const chain = new Chain({ corpus: runs, order: 1, useTokenMap: true, normalize: 'lowercase', random: 1 })
+
+  t.equal(chain.model.size, 4, 'tokens should be keyed by their normalized form')
+  t.same(chain.run({ tokens: ['HeLLo'], backSearch: false, useTokenMap: false })[1], ['hello'], 'prompts should be normalized and output in their most frequent form')
+  t.ok(chain.tokenMap.has('world'), 'token maps should use normalized keys')
+
+  chain.forget(['hello', 'World'])
+  chain.forget(['hello', 'there'])
+  t.same([...chain.tokenCodec.forms.get('hello')], [['Hello', 1], ['HELLO', 1]], 'forgotten runs should not count their surface forms')
+
+  const sampled = new Chain({ corpus: runs, normalize: ['NFKC', 'lowercase'], surfaceForm: 'sample', random: 2 })
+  const forms = new Set([...Array(40)].map(() => sampled.run()[2][0]))
+  t.same([...forms].sort(), ['HELLO', 'Hello', 'hello'], 'surface forms should be sampled by frequency')
+
+  const scored = new Set([...Array(20)].map(() => sampled.score(['HELLO', 'world']).steps[0].token))
+  t.same([...scored], ['hello'], 'scores should decode the most frequent surface form')
+
+  const restored = Chain.fromJSON(JSON.stringify(chain), { normalize: 'lowercase' })
+  t.same(restored.tokenCodec.forms, chain.tokenCodec.forms, 'surface forms should be serialised')
+})
+
+test('chain weighted seeding and decay', (t) => {
+  t.plan(12)
+
+  t.equal(weightedPick([0.25, 0.75], () => 0.3), 1, 'fractional weights should be picked by their share')
+  t.equal(weightedPick([0.1, 0.2, 0], () => 1), 1, 'zero weights should never be picked')
+
+  const plain = new Chain({ corpus })
+  const before = JSON.stringify(plain)
+  Chain.seed(['Hello', 'there'], plain, { weight: 0.5 })
+  t.equal(plain.model.get(tuple('Hello'))[0].get('there'), 0.5, 'runs should be seeded with their weight')
+  plain.forget(['Hello', 'there'], { weight: 0.5 })
+  t.equal(JSON.stringify(plain), before, 'weighted runs should be unseeded with their weight')
+
+  const chain = new Chain({ order: 1, decay: { halfLife: 2 } })
+  const first = () => chain.model.get(chain.initialState)[0]
+  Chain.seed(['old'], chain)
+  chain.tick(4)
+  Chain.seed(['new'], chain)
+  t.same([first().get('old'), first().get('new')], [1, 4], 'later runs should be stored inflated instead of decaying older ones')
+  t.equal(chain.score(['old']).steps[0].count, 0.25, 'counts should decay by their half-life')
+
+  const restored = Chain.fromJSON(JSON.stringify(chain))
+  t.same([restored.decay, JSON.stringify(restored)], [chain.decay, JSON.stringify(chain)], 'decay should be serialised')
+  restored.prune({ minCount: 0.5 })
+  t.notOk(restored.model.get(restored.initialState)[0].has('old'), 'pruning should use decayed counts')
+
+  Chain.seed(['later'], chain, { time: 200 })
+  t.same([chain.decay.epoch, first().get('later'), first().get('new') < 1e-20], [200, 1, true], 'counts should be rescaled to the clock when too inflated')
+
+  t.throws(() => new Chain({ decay: { halfLife: 0 } }), /Invalid Markov chain decay/, 'invalid half-lives should be rejected')
+
+  const ticked = new Chain({ order: 1, decay: { halfLife: 2 } })
+  Chain.seed(['x'], ticked, { time: 0 })
+  ticked.tick(5)
+  t.throws(() => ticked.forget(['x']), /Expected the time the run was seeded at/, 'forgetting runs with decay should need their seed time')
+  ticked.forget(['x'], { time: 0 })
+  t.equal(ticked.model.size, 0, 'runs should be forgotten at their seed time after a tick')
+})
+
+test('chain walk limits', async (t) => {
+  t.plan(10)
+
+  const chain = new Chain({ corpus: [['a', 'a', 'a', 'a', 'a', 'a', 'a', 'a', 'b']], random: 1 })
+
+  /**
+   * Consumes a walk, keeping its stop reason.
+   */
+  function drain (walk) {
+    const steps = []
+    let next
+    while (!(next = walk.next()).done) steps.push(next.value)
+    return [steps, next.value]
+  }
+
+  t.same(drain(chain.walkForward(undefined, { maxSteps: 3 })), [['a', 'a', 'a'], 'maxSteps'], 'walks should stop after maxSteps')
+  t.same(drain(chain.walkForward(undefined, { cycles: 'stop' })), [['a'], 'cycle'], 'walks should stop before revisiting a state')
+  t.same(drain(chain.walkForward(undefined, { cycles: 'redirect' })), [['a', 'b'], 'end'], 'walks should be redirected to unvisited states')
+  t.same(drain(chain.walkForward(undefined, { signal: { aborted: true } })), [[], 'aborted'], 'walks should stop when aborted')
+  t.same(drain(chain.walkBackward(undefined, { deadline: new Date(Date.now() - 1) })), [[], 'deadline'], 'walks should stop at their deadline')
+  t.same([drain(chain.walkForward(undefined, { banned: ['a'] })), drain(chain.walkForward(tuple('z')))], [[[], 'stuck'], [[], 'stuck']], 'walks without any allowed step should be stuck')
+
+  const { steps, stopped } = chain.run({ tokens: ['b'], maxSteps: 2, details: true })
+  t.same([steps[0].length, stopped], [2, { back: 'maxSteps', forward: 'end' }], 'runs should report why their walks stopped')
+
+  const async = await chain.runAsync({ tokens: ['b'], cycles: 'redirect', yieldEvery: 1, details: true })
+  t.same(async, { steps: [['a'], ['b'], []], stopped: { back: 'end', forward: 'end' } }, 'runs should be async')
+
+  const walked = []
+  for await (const step of chain.walkForwardAsync(undefined, { maxSteps: 5, yieldEvery: 2 })) walked.push(step)
+  t.same(walked, ['a', 'a', 'a', 'a', 'a'], 'walks should be async')
+
+  t.throws(() => chain.run({ cycles: 'loop' }), /Invalid Markov chain walk limit/, 'invalid cycle handling should be rejected')
+})
+
+test('chain clones, forks and snapshots', (t) => {
+  const base = new Chain({ corpus: [['a', 'b', 'c'], ['x', 'b', 'c']], order: 1, useTokenMap: true, random: 1 })
+  const saved = JSON.stringify(base)
+
+  const clone = base.clone()
+  Chain.seed(['a', 'b', 'd'], clone)
+  t.same([JSON.stringify(base), clone.model.size], [saved, base.model.size + 1], 'clones should be independent copies')
+
+  const fork = base.fork()
+  Chain.seed(['a', 'b', 'd'], fork)
+  fork.forget(['x', 'b', 'c'])
+  t.same(JSON.stringify(base), saved, 'forks should not change their parent')
+  t.same([fork.parent, fork.model.has(tuple('x', 'b')), fork.model.get(tuple('a', 'b'))[0].get('d')], [base, false, 1], 'forks should read through to their parent')
+  t.same(JSON.stringify(Chain.fromJSON(JSON.stringify(fork))), JSON.stringify(fork), 'forks should serialise flattened')
+
+  const deltas = fork.toDeltaJSON()
+  t.same([deltas.deltas, deltas.states.length], [true, 7], 'forks should serialise the states they changed')
+  t.same(JSON.stringify(Chain.fromDeltaJSON(JSON.stringify(deltas), base)), JSON.stringify(fork), 'deltas should apply to the parent')
+  t.throws(() => Chain.fromJSON(deltas), /deltas of a fork/, 'deltas should not be read as a whole chain')
+
+  const snapshot = fork.snapshot()
+  Chain.seed(['y', 'z'], fork)
+  fork.restore(snapshot)
+  t.same(JSON.stringify(fork), JSON.stringify(Chain.fromDeltaJSON(deltas, base)), 'snapshots should roll chains back')
+  t.throws(() => fork.restore({}), /Invalid Markov chain snapshot/, 'invalid snapshots should be rejected')
+  t.end()
+})
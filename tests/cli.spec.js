@@ -0,0 +1,36 @@
+const test = require('tape')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const bin = path.join(__dirname, '..', 'bin', 'markov-chainer.js')
+
+/**
+ * Runs the command line tool.
+ */
+function cli (args, input = '') {
+  return spawnSync(process.execPath, [bin, ...args], { input, encoding: 'utf8', timeout: 10000 })
+}
+
+test('command line tool', (t) => {
+  t.plan(7)
+
+  const model = cli(['train', '--order', '1'], 'Cats like milk. Dogs like bones.').stdout
+  t.equal(JSON.parse(model).order, 1, 'train should write a model')
+
+  const runs = cli(['generate', '--count', '3', '--seed', '1', '--json'], model).stdout.trim().split('\n')
+  t.equal(runs.length, 3, 'generate should print one run per line')
+  t.ok(runs.every((run) => JSON.parse(run).pop() === '.'), 'runs should be printed as JSON arrays')
+
+  const lines = cli(['train', '--format', 'ndjson', '--lines'], '["a", "b"]\n["a", "c"]\n').stdout
+  const report = JSON.parse(cli(['inspect', '--json', '--top', '1'], lines).stdout)
+  t.same([report.states, report.top], [4, [{ state: ['<BEGIN>', '<BEGIN>'], next: 'a', count: 2 }]], 'inspect should report the top transitions')
+
+  const merged = cli(['merge', '--weights', '2', '-'], lines).stdout
+  t.equal(JSON.parse(cli(['inspect', '--json'], merged).stdout).top[0].count, 4, 'merge should combine weighted models')
+
+  const unknown = cli(['train', '--order', 'x'])
+  t.same([unknown.status, unknown.stderr.split('\n')[0]], [2, 'markov-chainer: Expected --order to be an integer but got \'x\'.'], 'usage errors should be reported')
+
+  const invalid = cli(['inspect'], '{"version": 2}')
+  t.ok(invalid.status === 1 && /<stdin>: Invalid Markov chain JSON/.test(invalid.stderr), 'invalid models should be reported')
+})
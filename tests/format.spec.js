@@ -0,0 +1,96 @@
+const test = require('tape')
+const { Readable } = require('stream')
+
+const { Chain } = require('../lib')
+const { stringifyToken } = require('../lib/model')
+
+const corpus = [
+  ['Hello', 'world', 'of', 'Markov', 'chains'],
+  ['These', 'are', 'my', "process'", 'tokens'],
+  ['This', 'can', 'be', 'any', 'JSON', 'data'],
+  ['I', 'can', 'use', 'other', { a: 'types' }]
+]
+
+/**
+ * Serialises a chain like versions before the format had a header.
+ */
+function legacy (chain) {
+  return [...chain.model].map(([state, maps]) => {
+    return [[...state].map(stringifyToken), maps.map((weights) => {
+      return [...weights].map(([token, count]) => [stringifyToken(token), count])
+    })]
+  })
+}
+
+test('chain format', (t) => {
+  t.plan(8)
+
+  const chain = new Chain({ corpus, order: 1, useTokenMap: true })
+  const json = chain.toJSON()
+
+  t.same(
+    [json.version, json.order, json.tokenMap, json.stats],
+    [2, 1, true, { states: 22, transitions: 25, tokens: json.tokens.length }],
+    'serialised chains should start with a header'
+  )
+  t.equal(new Set(json.tokens).size, json.tokens.length, 'tokens should be stored once')
+
+  const restored = Chain.fromJSON(JSON.stringify(json))
+  t.same(restored.tokenMap, chain.tokenMap, 'the token map flag should be restored')
+  t.equal(JSON.stringify(restored), JSON.stringify(chain), 'the model should be restored')
+
+  const fromLegacy = Chain.fromJSON(JSON.stringify(legacy(chain)), { useTokenMap: true })
+  t.equal(JSON.stringify(fromLegacy), JSON.stringify(chain), 'chains serialised as arrays should still be read')
+
+  const empty = Chain.fromJSON(JSON.stringify(new Chain({ order: 2 })))
+  t.equal(empty.order, 2, 'empty chains should keep their order')
+
+  const kept = new Chain({ corpus, keepCorpus: true })
+  t.same([...Chain.fromJSON(JSON.stringify(kept)).corpus], corpus, 'runs should be restored')
+
+  const surfaces = [['Hello', 'big', 'World'], ['hello', 'small', 'world']]
+  const normalized = new Chain({ corpus: surfaces, normalize: 'lowercase', keepCorpus: true })
+  const reread = Chain.fromJSON(JSON.stringify(normalized), { normalize: 'lowercase' })
+  t.same([[...reread.corpus], reread.corpus.overlaps(surfaces[0], { maxOverlapRatio: 0.5 })], [surfaces, true], 'runs should keep their surface forms')
+})
+
+test('chain format streaming', async (t) => {
+  t.plan(3)
+
+  const chain = new Chain({ corpus, order: 1, keepCorpus: true })
+  const text = [...chain.toLines()].join('')
+  const chunks = [text.slice(0, 10), text.slice(10, 200), text.slice(200)].map((s) => Buffer.from(s))
+
+  t.equal(text.split('\n').length - 1, 1 + 1 + chain.model.size + corpus.length, 'lines should hold the header, tokens, states and runs')
+
+  const restored = await Chain.fromLines(Readable.from(chunks))
+  t.equal(JSON.stringify(restored), JSON.stringify(chain), 'chains should be read back from lines')
+
+  try {
+    await Chain.fromLines([text.split('\n').slice(0, 5).join('\n')])
+    t.fail('truncated lines should reject')
+  } catch (error) {
+    t.ok(/Expected 22 states but got 3/.test(error.message), 'truncated lines should be detected')
+  }
+})
+
+test('chain format errors', (t) => {
+  t.plan(5)
+
+  const json = new Chain({ corpus, order: 1 }).toJSON()
+  const modified = (changes) => JSON.stringify({ ...json, ...changes })
+
+  t.throws(() => Chain.fromJSON('{"version":'), /Invalid Markov chain JSON. Expected JSON/, 'malformed JSON should be rejected')
+  t.throws(() => Chain.fromJSON(modified({ version: 3 })), /Unsupported Markov chain format/, 'newer versions should be rejected')
+  t.throws(() => Chain.fromJSON(modified({ order: -1 })), /integer order at root order but got -1/, 'invalid headers should be rejected')
+  t.throws(
+    () => Chain.fromJSON(modified({ states: [[[0, 999], [[], []]]] })),
+    /token index below \d+ at states\[0\] state\[1\] but got 999/,
+    'unknown tokens should be reported with their location'
+  )
+  t.throws(
+    () => Chain.fromJSON(modified({ states: [[[0], [[], []]]] })),
+    /Inconsistent Markov chain order. Expected 1 but got 0 \(states\[0\]\)/,
+    'states of another order should be rejected'
+  )
+})
@@ -0,0 +1,87 @@
+const test = require('tape')
+const { tuple } = require('immutable-tuple')
+
+const { Chain } = require('../lib')
+const { bisect, last } = require('../lib/util')
+const { samplingTable } = require('../lib/model')
+
+/**
+ * Step implementation before cached sampling tables.
+ */
+function uncachedStep (chain, state, random) {
+  const [next] = chain.model.get(state)
+  const choices = [...next.keys()]
+  const weights = [...next.values()]
+  const distributionSum = weights.reduce((result, weight) => {
+    const sum = last(result) || 0
+    return result.concat(sum + weight)
+  }, [])
+  return choices[bisect(distributionSum, random() * last(distributionSum))]
+}
+
+/**
+ * Measures the mean duration of a function call in milliseconds.
+ */
+function timeOf (fn, times) {
+  const start = process.hrtime()
+  for (let i = 0; i < times; ++i) fn()
+  const [seconds, nanoseconds] = process.hrtime(start)
+  return (seconds * 1e3 + nanoseconds / 1e6) / times
+}
+
+test('cached sampling tables', (t) => {
+  t.plan(3)
+
+  const chain = new Chain({ corpus: [['a', 'b'], ['a', 'b'], ['a', 'c']], random: 5 })
+  const state = tuple('a')
+  const counts = { b: 0, c: 0 }
+  for (let i = 0; i < 3000; ++i) counts[chain._step(state)]++
+  t.ok(Math.abs(counts.b / 3000 - 2 / 3) < 0.05, 'steps should follow transition counts')
+
+  Chain.seed(['a', 'd'], chain)
+  Chain.seed(['a', 'd'], chain)
+  Chain.seed(['a', 'd'], chain)
+  const steps = new Set([...Array(200)].map(() => chain._step(state)))
+  t.ok(steps.has('d'), 'seeding should invalidate the sampling table')
+
+  const random = () => 0.5
+  const same = [...Array(20)].every(() => chain._step(state, true, { random }) === uncachedStep(chain, state, random))
+  t.ok(same, 'cached steps should match uncached steps')
+})
+
+test('cached sampling invalidation', (t) => {
+  t.plan(3)
+
+  const chain = new Chain({ corpus: [['a', 'b'], ['c', 'd']], random: 1 })
+  const [next] = chain.model.get(tuple('a'))
+  chain._step(tuple('a'))
+  const table = samplingTable(next)
+
+  chain._step(tuple('a'))
+  t.equal(samplingTable(next), table, 'sampling tables should be reused between steps')
+
+  Chain.seed(['c', 'e'], chain)
+  t.equal(samplingTable(next), table, 'seeding other states should keep the sampling table')
+
+  Chain.seed(['a', 'e'], chain)
+  t.notEqual(samplingTable(next), table, 'seeding the state should rebuild its sampling table')
+})
+
+test('cached sampling benchmark', (t) => {
+  const fanOut = 2000
+  const corpus = []
+  for (let i = 0; i < fanOut; ++i) {
+    corpus.push(['the', `word${i}`, 'the', `word${(i * 7) % fanOut}`])
+  }
+
+  const chain = new Chain({ corpus, random: 1 })
+  const state = tuple('the')
+  chain._step(state)
+
+  const uncached = timeOf(() => uncachedStep(chain, state, Math.random), 5)
+  const cached = timeOf(() => chain._step(state), 5000)
+
+  // timings depend on the machine, so they are reported rather than asserted
+  t.comment(`uncached step: ${uncached.toFixed(4)}ms, cached step: ${cached.toFixed(4)}ms (${fanOut} successors)`)
+  t.end()
+})
@@ -0,0 +1,91 @@
+const test = require('tape')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { Chain, AsyncChain, MemoryStore, FileStore } = require('../lib')
+const { stringifyToken } = require('../lib/model')
+
+const corpus = [
+  ['Hello', 'world', 'of', 'Markov', 'chains'],
+  ['These', 'are', 'my', "process'", 'tokens'],
+  ['This', 'can', 'be', 'any', 'JSON', 'data'],
+  ['I', 'can', 'use', 'other', { a: 'types' }]
+]
+
+/**
+ * Dumps the states of a store, in order.
+ */
+async function dump (store) {
+  const states = []
+  for await (const [state, [next, prev]] of store.entries()) {
+    states.push([[...state], [...next], [...prev]].map((items) => JSON.stringify(items.map((item) => {
+      return Array.isArray(item) ? [stringifyToken(item[0]), item[1]] : stringifyToken(item)
+    }))))
+  }
+  return states.sort()
+}
+
+test('async chain storage', async (t) => {
+  t.plan(5)
+
+  const expected = await dump(new MemoryStore(new Chain({ corpus, order: 1 }).model))
+  const chain = new AsyncChain({ order: 1, random: 3 })
+  for (const run of corpus) await chain.seed(run)
+  t.same(await dump(chain.model), expected, 'async seeding should build the same model')
+
+  const concurrent = new AsyncChain({ order: 1 })
+  await Promise.all([concurrent.seed(['a', 'b']), concurrent.seed(['a', 'b'])])
+  t.equal((await concurrent.model.get(concurrent.initialState))[0].get('a'), 2, 'concurrent seeds should all be counted')
+
+  const [back, start, forward] = await chain.run({ tokens: ['can', 'be'] })
+  t.same(start, ['can', 'be'], 'runs should start from known tokens')
+  t.ok(back[0] === 'This' && forward.length > 0, 'runs should walk both ways')
+
+  const steps = []
+  for await (const step of chain.walkForward(undefined, { random: 1 })) steps.push(step)
+  t.equal(steps.length > 0 && corpus.some((run) => JSON.stringify(run) === JSON.stringify(steps)), true, 'walk generators should be async')
+})
+
+test('file storage', async (t) => {
+  t.plan(7)
+
+  const file = path.join(os.tmpdir(), `markov-chainer-${process.pid}.log`)
+  const expected = await dump(new MemoryStore(new Chain({ corpus, order: 1 }).model))
+
+  try {
+    const store = await FileStore.open(file)
+    const chain = new AsyncChain({ store, order: 1 })
+    for (const run of corpus) await chain.seed(run)
+    await store.close()
+
+    fs.appendFileSync(file, '[["cut short"')
+    const reopened = await FileStore.open(file)
+    t.same(await dump(reopened), expected, 'states should be read back from the log')
+
+    const loaded = await AsyncChain.open(reopened)
+    t.equal(loaded.order, 1, 'the order should be read from the store')
+    t.same((await loaded.run({ tokens: ['of', 'Markov'], random: 1 }))[2], ['chains'], 'runs should read states on demand')
+
+    const before = fs.statSync(file).size
+    await reopened.delete(loaded.initialState)
+    await reopened.compact()
+    t.ok(fs.statSync(file).size < before && !(await reopened.has(loaded.initialState)), 'compaction should keep the latest records')
+    t.equal(reopened.size, expected.length - 1, 'deleted states should be dropped')
+
+    const state = loaded.initialState
+    const queued = [reopened.set(state, [new Map([['x', 1]]), new Map()]), reopened.delete(state), reopened.compact(), reopened.has(state)]
+    t.same((await Promise.all(queued)).slice(1), [true, undefined, false], 'reads and writes should apply in call order')
+    await reopened.close()
+
+    fs.writeFileSync(file, '{"not": "a record"}\n')
+    try {
+      await FileStore.open(file)
+      t.fail('invalid logs should be rejected')
+    } catch (error) {
+      t.ok(/Invalid Markov chain store.*line 1/.test(error.message), 'invalid logs should be rejected')
+    }
+  } finally {
+    fs.unlinkSync(file)
+  }
+})
@@ -0,0 +1,104 @@
+const test = require('tape')
+const { Readable } = require('stream')
+
+const { Chain } = require('../lib')
+
+const corpus = [
+  ['Hello', 'world', 'of', 'Markov', 'chains'],
+  ['These', 'are', 'my', "process'", 'tokens'],
+  ['This', 'can', 'be', 'any', 'JSON', 'data'],
+  ['I', 'can', 'use', 'other', { a: 'types' }]
+]
+
+test('chain training from streams', async (t) => {
+  t.plan(5)
+
+  const expected = JSON.stringify(new Chain({ corpus, order: 1 }))
+
+  const objects = await Chain.fromStream(Readable.from(corpus), { order: 1 })
+  t.equal(JSON.stringify(objects), expected, 'object streams should be read as runs')
+
+  const text = corpus.map((run) => JSON.stringify(run)).join('\n')
+  const chunks = [text.slice(0, 7), text.slice(7, 50), text.slice(50)].map((s) => Buffer.from(s))
+  const lines = await Chain.fromStream(Readable.from(chunks), { order: 1 })
+  t.equal(JSON.stringify(lines), expected, 'text streams should be read as newline-delimited JSON')
+
+  const generated = await Chain.fromStream((async function * () { yield * corpus })(), { order: 1 })
+  t.equal(JSON.stringify(generated), expected, 'async iterables should be read as runs')
+
+  const reports = []
+  const chain = new Chain({ order: 1 })
+  const progress = await chain.train(corpus, { onProgress: (p) => reports.push(p), progressInterval: 3 })
+  t.same(reports, [{ runs: 3, tokens: 16 }, { runs: 4, tokens: 21 }], 'progress should be reported')
+  t.same(progress, { runs: 4, tokens: 21 }, 'training should resolve with its progress')
+})
+
+test('chain training errors', async (t) => {
+  t.plan(4)
+
+  const signal = { aborted: false }
+  const chain = new Chain()
+  const source = (async function * () {
+    yield corpus[0]
+    signal.aborted = true
+    yield corpus[1]
+  })()
+
+  try {
+    await chain.train(source, { signal })
+    t.fail('aborted training should reject')
+  } catch (error) {
+    t.equal(error.name, 'AbortError', 'aborted training should reject with an AbortError')
+  }
+
+  try {
+    await chain.train(Readable.from(['["a"]\n{"b": 1}\n']))
+    t.fail('invalid runs should reject')
+  } catch (error) {
+    t.ok(/line 2/.test(error.message), 'invalid runs should be reported with their line')
+  }
+
+  try {
+    await chain.train(Readable.from(['["a"]\n\n\n{"b": 1}\n']))
+    t.fail('invalid runs after blank lines should reject')
+  } catch (error) {
+    t.ok(/on line 4 /.test(error.message), 'lines should be numbered with the blank lines')
+  }
+
+  try {
+    await chain.train(['\n\n\n'], { signal: { aborted: true } })
+    t.fail('aborted reading should reject')
+  } catch (error) {
+    t.equal(error.name, 'AbortError', 'the signal should be checked between lines')
+  }
+})
+
+test('parallel chain training', async (t) => {
+  t.plan(6)
+
+  const options = { order: 1, useTokenMap: true, normalize: 'lowercase', keepCorpus: true }
+  const serial = new Chain({ ...options, corpus })
+  const trained = await Chain.trainParallel(corpus, { ...options, workers: 3 })
+
+  t.equal(JSON.stringify(trained), JSON.stringify(serial), 'shards should merge into the serial model')
+  t.same(trained.tokenMap, serial.tokenMap, 'the token map should be built')
+  t.equal(trained.corpus.size, corpus.length, 'the corpus should be kept')
+
+  const limited = { order: 1, variableOrder: true, limits: { maxStates: 12, maxTransitionsPerState: 1 } }
+  const pruned = await Chain.trainParallel(corpus, { ...limited, workers: 2 })
+  t.equal(JSON.stringify(pruned), JSON.stringify(new Chain({ ...limited, corpus })), 'limits should be enforced as in serial training')
+
+  try {
+    await Chain.trainParallel([['a'], ['b'], 5, ['c']], { workers: 4 })
+    t.fail('invalid runs should reject')
+  } catch (error) {
+    t.ok(/Invalid Markov chain run. Expected array but got number \(run 2\)/.test(error.message), 'invalid runs should be rejected before reaching workers')
+  }
+
+  try {
+    await Chain.trainParallel(corpus, { tokenKey: (token) => token })
+    t.fail('functions should be rejected')
+  } catch (error) {
+    t.ok(/Invalid Markov chain option/.test(error.message), 'functions should be rejected')
+  }
+})
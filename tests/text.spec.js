@@ -0,0 +1,43 @@
+const test = require('tape')
+
+const { TextChain, tokenizer } = require('../lib')
+
+const text = 'The cat sat on the mat. The dog sat on the rug! Did the cat see the dog? ' +
+  'Mr. Smith said: "the cat, the dog (and the rug) are fine."'
+
+test('text tokenizer', (t) => {
+  t.plan(5)
+
+  t.same(tokenizer.splitSentences(text), [
+    'The cat sat on the mat.',
+    'The dog sat on the rug!',
+    'Did the cat see the dog?',
+    'Mr. Smith said: "the cat, the dog (and the rug) are fine."'
+  ], 'text should be split into sentences')
+
+  t.same(tokenizer.splitSentences('one line\nanother line\n\n', { newline: true }), ['one line', 'another line'], 'newline mode should split lines')
+
+  const tokens = tokenizer.tokenize('Don\'t say "well-known" things... (ok)?')
+  t.same(tokens, ['Don\'t', 'say', '"', 'well-known', '"', 'things', '...', '(', 'ok', ')', '?'], 'sentences should be split into words and punctuation')
+  t.equal(tokenizer.detokenize(tokens), 'Don\'t say "well-known" things... (ok)?', 'punctuation should be spaced properly')
+
+  const sentence = 'Mr. Smith said: "the cat, the dog (and the rug) are fine."'
+  t.equal(tokenizer.detokenize(tokenizer.tokenize(sentence)), sentence, 'detokenizing should invert tokenizing')
+})
+
+test('text chain', (t) => {
+  t.plan(5)
+
+  const chain = TextChain.fromText(text, { random: 3 })
+  t.equal(chain.chain.order, 1, 'underlying chain should be exposed')
+
+  const sentence = chain.makeSentence()
+  t.ok(typeof sentence === 'string' && /[.!?"]$/.test(sentence), 'sentences should be generated as text')
+  t.ok(/dog/.test(chain.makeSentence('a dog')), 'sentences should start from the prompt')
+
+  const { sentence: detailed, stopped } = chain.makeSentence('a dog', { details: true })
+  t.ok(/dog/.test(detailed) && stopped.forward === 'end', 'sentences should be returned with their details')
+
+  const generated = TextChain.fromJSON(JSON.stringify(chain))
+  t.equal(JSON.stringify(generated), JSON.stringify(chain), 'text chains should be serialisable')
+})